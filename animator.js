@@ -26,40 +26,202 @@
  * Animator class that allows simply animating DOM elements
  */
 
-var Animator = core.declare({
+var Animator = core.declare(Playback, {
     /**
      * Definition of configuration properties for keyframes
      */
-    KEYFRAME_CONFIG_PROPERTIES: ['duration', 'timing'],
+    KEYFRAME_CONFIG_PROPERTIES: ['duration', 'timing', 'colorSpace', 'physics'],
 
     /**
-     * Definition of css properties that can be animated
+     * Definition of keyframe properties resolved by the animation itself instead of property
+     * handlers (see Animator.registerProperty)
      */
-    KEYFRAME_ANIMATION_PROPERTIES: [
-        'width', 'height', 'left', 'top', 'color', 'backgroundColor',
-        'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom',
-        'marginLeft', 'marginRight', 'marginTop', 'marginBottom',
-        'borderColor', 'borderLeftColor', 'borderRightColor', 'borderTopColor', 'borderBottomColor',
-        'borderWidth', 'borderLeftWidth', 'borderRightWidth', 'borderTopWidth', 'borderBottomWidth'
+    KEYFRAME_SPECIAL_PROPERTIES: ['motionPath', 'drawLine'],
+
+    /**
+     * Definition of multi properties, which are animated as their single properties. Values of
+     * 1 to 4 parts are distributed to them the same way as by css (see expandValue()).
+     */
+    MULTI_PROPERTIES: {
+        margin: ['marginTop', 'marginRight', 'marginBottom', 'marginLeft'],
+        padding: ['paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'],
+        inset: ['top', 'right', 'bottom', 'left'],
+        borderWidth: ['borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'],
+        borderColor: ['borderTopColor', 'borderRightColor', 'borderBottomColor', 'borderLeftColor'],
+        borderRadius: ['borderTopLeftRadius', 'borderTopRightRadius', 'borderBottomRightRadius', 'borderBottomLeftRadius']
+    },
+
+    /**
+     * Definition of filter functions, as their default unit and the value which does not change
+     * the element (used when filter lists of different lengths are animated)
+     */
+    FILTER_FUNCTIONS: {
+        blur: ['px', 0], brightness: ['', 1], contrast: ['', 1], grayscale: ['', 0], 'hue-rotate': ['deg', 0],
+        invert: ['', 0], opacity: ['', 1], saturate: ['', 1], sepia: ['', 0]
+    },
+
+    /**
+     * Definition of keywords of background position, as percentages
+     */
+    POSITION_KEYWORDS: {
+        left: 0, center: 50, right: 100, top: 0, bottom: 100
+    },
+
+    /**
+     * Definition of attributes animated on svg elements (by getAttribute/setAttribute instead of style).
+     * Camelcased names are hyphenated, e.g. strokeDashoffset animates stroke-dashoffset.
+     */
+    SVG_ATTRIBUTES: [
+        'cx', 'cy', 'r', 'rx', 'ry', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'width', 'height', 'viewBox', 'points', 'd',
+        'fill', 'stroke', 'strokeWidth', 'strokeDasharray', 'strokeDashoffset', 'fillOpacity', 'strokeOpacity',
+        'stopColor', 'stopOpacity'
     ],
 
     /**
-     * Configuration option - the DOM element to be animated
+     * Definition of transform functions that are animated separately and combined into
+     * single transform property, in order of composition, with their units
+     */
+    TRANSFORM_CHANNELS: {
+        translateX: 'px', translateY: 'px', rotate: 'deg', skewX: 'deg', skewY: 'deg', scaleX: '', scaleY: ''
+    },
+
+    /**
+     * Definition of css properties which values are numbers without unit
+     */
+    UNITLESS_PROPERTIES: {
+        opacity: true, fontWeight: true, lineHeight: true, zIndex: true, flexGrow: true, flexShrink: true, order: true
+    },
+
+    /**
+     * Definition of loop directions, as whether even and odd loops are played backwards
+     */
+    DIRECTIONS: {
+        normal: [false, false], reverse: [true, true], alternate: [false, true], 'alternate-reverse': [true, false]
+    },
+
+    /**
+     * Definition of absolute units, as their size in base unit (px for lengths, deg for angles).
+     * Relative units (%, em, rem, vw, vh, vmin, vmax) are measured in getUnitSize().
+     */
+    ABSOLUTE_UNITS: {
+        px: 1, 'in': 96, cm: 96 / 2.54, mm: 96 / 25.4, pt: 4 / 3, pc: 16,
+        deg: 1, rad: 180 / Math.PI, grad: 0.9, turn: 360
+    },
+
+    /**
+     * Definition of css named colors
+     */
+    NAMED_COLORS: {
+        aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4', azure: 'f0ffff',
+        beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000', blanchedalmond: 'ffebcd', blue: '0000ff',
+        blueviolet: '8a2be2', brown: 'a52a2a', burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00',
+        chocolate: 'd2691e', coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+        cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b', darkgray: 'a9a9a9',
+        darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b', darkmagenta: '8b008b',
+        darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc', darkred: '8b0000',
+        darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b', darkslategray: '2f4f4f',
+        darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3', deeppink: 'ff1493',
+        deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969', dodgerblue: '1e90ff',
+        firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22', fuchsia: 'ff00ff',
+        gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700', goldenrod: 'daa520', gray: '808080',
+        green: '008000', greenyellow: 'adff2f', grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4',
+        indianred: 'cd5c5c', indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+        lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+        lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+        lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+        lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+        lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32', linen: 'faf0e6',
+        magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa', mediumblue: '0000cd',
+        mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371', mediumslateblue: '7b68ee',
+        mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+        midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+        navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000', olivedrab: '6b8e23',
+        orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6', palegoldenrod: 'eee8aa', palegreen: '98fb98',
+        paleturquoise: 'afeeee', palevioletred: 'db7093', papayawhip: 'ffefd5', peachpuff: 'ffdab9',
+        peru: 'cd853f', pink: 'ffc0cb', plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080',
+        rebeccapurple: '663399', red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1',
+        saddlebrown: '8b4513', salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+        sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd', slategray: '708090',
+        slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f', steelblue: '4682b4', tan: 'd2b48c',
+        teal: '008080', thistle: 'd8bfd8', tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee',
+        wheat: 'f5deb3', white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32'
+    },
+
+    /**
+     * Configuration option - the DOM element to be animated. Multiple elements can be given
+     * as a css selector, NodeList or array - each of them is animated separately, see stagger.
      */
     element: null,
 
     /**
-     * Configuration option - the number of animation loops
+     * Configuration option - the delay between animations of multiple elements. One of:
+     *
+     * - number - delay in ms between consecutive elements
+     * - function (index, count, element) - returns the delay of given element in ms
+     * - {from: 'start'|'center'|'end'|index, each: ms} - delay grows with the distance from given element
+     */
+    stagger: 0,
+
+    /**
+     * Configuration option - the number of animation loops, Infinity loops forever. In normal
+     * and reverse direction every loop ends by returning to the start values, so the next one
+     * continues smoothly.
      */
     loops: 0,
 
     /**
-     * Configuration option - array containing keyframes that describes animation
+     * Configuration option - the direction in which loops are played: 'normal', 'reverse',
+     * 'alternate' (odd loops are played backwards) or 'alternate-reverse' (even loops are played backwards)
+     */
+    direction: 'normal',
+
+    /**
+     * Configuration option - the delay between loops in ms
+     */
+    repeatDelay: 0,
+
+    /**
+     * Configuration option - array containing keyframes that describes animation. Value of property
+     * within keyframe is one of:
+     *
+     * - absolute target, e.g. 100, '50%', '#f00'
+     * - relative target, '+=50' or '-=10%', added to (subtracted from) the value at the start of keyframe
+     * - [from, to] pair - explicit start value of keyframe, instead of the value left on the element
+     * - function (element, index) - evaluated when keyframe starts, returns one of the above
+     *
+     * Keyframe can move the element along a path by motionPath property - svg path data, svg path
+     * element, list of bezier control points (see Animator.motionPath) or an object:
+     *
+     * - path - one of the above, its coordinates are translations of the element in px
+     * - start, end - the fractions of path length between which the element moves (default 0 and 1)
+     * - align - [x, y] point of the element placed on the path, as fractions of its size (default [0, 0])
+     * - autoRotate - true to rotate the element in the direction of the path, or angle in degrees added to it
+     *
+     * Svg elements are animated by their attributes (see SVG_ATTRIBUTES) - lengths, lists of numbers
+     * (viewBox, points, strokeDasharray), colors and path data (d), which is morphed between paths of
+     * any shape. Svg shape can be drawn by drawLine property - the drawn fraction of its length (0..1).
+     *
+     * Shorthands (margin, padding, inset, borderWidth, borderColor, borderRadius) take 1 to 4 values as
+     * in css. Compound values - boxShadow, textShadow, filter, backgroundPosition and clipPath - are
+     * interpolated number by number and color by color, e.g. from 'none' to '0 4px 8px rgba(0, 0, 0, .2)'.
      */
     keyframes: [],
 
     /**
-     * Configuration option - the default timing function to be used to control keyframes animation
+     * Configuration option - the start values of properties (keyframe-like object), used instead
+     * of values read from the element
+     */
+    from: null,
+
+    /**
+     * Configuration option - the index of animated element among multiple elements, passed to
+     * function values of keyframes
+     */
+    index: 0,
+
+    /**
+     * Configuration option - the default timing function to be used to control keyframes animation:
+     * name of registered easing (see Animator.registerEasing), cubic-bezier(...), steps(...) or a function
      */
     timing: 'linear',
 
@@ -68,6 +230,27 @@ var Animator = core.declare({
      */
     duration: 500,
 
+    /**
+     * Configuration option - the default spring physics of keyframes, {stiffness, damping, mass, velocity},
+     * see Animator.spring. Keyframe with physics (given here or by its physics property) is animated
+     * by spring of each property instead of duration and timing, it lasts until all springs settle.
+     * Spring interrupting another spring on the same element starts from its current velocity.
+     */
+    physics: null,
+
+    /**
+     * Configuration option - how the animation is rendered: 'js' renders every frame by this object,
+     * 'waapi' compiles the animation to Web Animations API (element.animate()), so the browser renders it
+     * and this object only keeps time and fires events.
+     */
+    renderer: 'js',
+
+    /**
+     * Configuration option - the default color space in which colors are interpolated, one of
+     * Animator.colorSpaces: 'rgb', 'hsl', 'lab' or 'oklch'. Keyframes can override it by colorSpace.
+     */
+    colorSpace: 'rgb',
+
     /**
      * Animator constructor. Constructs object and configures properties
      */
@@ -76,373 +259,4149 @@ var Animator = core.declare({
     },
 
     /**
-     * Starts animation
+     * Starts animation. Returns promise which is resolved when animation finishes, see finished.
      */
     animate: function () {
-        if (!this.element) throw 'No element specified';
-        if (!this.keyframes || !this.keyframes.length) throw 'No keyframes specified';
+        return this.play();
+    },
 
-        if (this.loops > 0)
-        {
-            var l = this.keyframes.length;
-            var extraFrame = {};
+    /**
+     * Stops animation. Element is left as it is unless options.jumpToEnd is set,
+     * in which case the final state (in the current direction) is rendered and
+     * the end events are fired.
+     */
+    stop: function (options) {
+        this.inherited(options);
+        this.position = null;
+        this.releaseWebAnimation();
+    },
 
-            for (var i = 0; i < l; i++)
-            {
-                for (var name in this.keyframes[i])
-                {
-                    if (!this.keyframes[i].hasOwnProperty(name) || extraFrame[name]) continue;
+    /**
+     * Pauses running animation. It can be continued by resume()
+     */
+    pause: function () {
+        this.inherited();
 
-                    var styles = this.getStyle(name);
+        if (this.webAnimation) this.syncWebAnimation();
+    },
 
-                    for (var styleName in styles)
-                    {
-                        if (!styles.hasOwnProperty(styleName)) continue;
+    /**
+     * Internal use only. Validates configuration and resets internal playback state
+     */
+    prepare: function () {
+        if (!this.element) throw new ConfigurationError('No element specified', 'NO_ELEMENT');
+        if (!this.keyframes || !this.keyframes.length) throw new ConfigurationError('No keyframes specified', 'NO_KEYFRAMES');
+        if (!this.DIRECTIONS.hasOwnProperty(this.direction)) throw new ConfigurationError('Invalid direction ' + this.direction, 'INVALID_DIRECTION', {option: 'direction', value: this.direction});
 
-                        var v = styles[styleName];
-                        var n = parseInt(v, 10);
+        this.inherited();
 
-                        extraFrame[styleName] = isNaN(n) ? v : n;
-                    }
-                }
-            }
+        this.group = null;
 
-            extraFrame.duration = this.duration || this.keyframes[0].duration;
-            extraFrame.timing = this.timing || this.keyframes[0].timing;
+        if (!this.element.nodeType)
+        {
+            this.prepareGroup();
 
-            this.keyframes.push(extraFrame);
+            return;
         }
 
-        this.onAnimationBegin();
-        this.animateKeyframe(0);
-    },
+        this.resolved = [];
+        this.initialState = {};
+        this.position = null;
 
-    /**
-     * Internal use only. Requests browser for animation frame and calls callback within
-     * that frame. Browsers that does not support animation frame will use 60 fps by default.
-     */
-    requestAnimationFrame: function(callback, element) {
-        return (
-            window.requestAnimationFrame       ||
-            window.webkitRequestAnimationFrame ||
-            window.mozRequestAnimationFrame    ||
-            window.oRequestAnimationFrame      ||
-            window.msRequestAnimationFrame     ||
-            function (callback, element) {
-                window.setTimeout(callback, 1000 / 60);
-            }
-        )(callback, element);
+        this.releaseWebAnimation();
     },
 
     /**
-     * Internal use only. Animates given keyframe
+     * Internal use only. Creates separate animation for each of multiple elements and places
+     * them in internal timeline according to stagger. Their keyframe events are fired by this animation.
      */
-    animateKeyframe: function (frameIndex) {
-        var frame = this.keyframes[frameIndex];
-        if (!frame) return;
-
-        var deltas = {};
-
-        for (var name in frame)
-        {
-            if (!frame.hasOwnProperty(name) || this.KEYFRAME_CONFIG_PROPERTIES.indexOf(name) >= 0) continue;
+    prepareGroup: function () {
+        var targets = this.getTargets();
+        var self = this;
 
-            if (this.KEYFRAME_ANIMATION_PROPERTIES.indexOf(name) == -1) throw 'Property ' + name + ' could not be animated. Animateable properties: ' + this.KEYFRAME_ANIMATION_PROPERTIES.join(', ');
+        if (!targets.length) throw new ConfigurationError('No element specified', 'NO_ELEMENT', {element: this.element});
 
-            if (name == 'width' || name == 'height')
-            {
-                var size = (name == 'width' ? this.getInnerWidth() : this.getInnerHeight());
-                deltas[name] = {delta: frame[name] - size, initial: size};
-            }
-            else if (!name.match(/color$/i))
-            {
-                var style = this.getStyle(name);
+        this.group = new Timeline();
 
-                for (var styleName in style)
-                {
-                    if (!style.hasOwnProperty(styleName)) continue;
+        for (var i = 0; i < targets.length; i++)
+        {
+            var child = new Animator({
+                element: targets[i],
+                keyframes: this.keyframes.slice(0),
+                loops: this.loops,
+                direction: this.direction,
+                repeatDelay: this.repeatDelay,
+                timing: this.timing,
+                duration: this.duration,
+                renderer: this.renderer,
+                colorSpace: this.colorSpace,
+                physics: this.physics,
+                from: this.from,
+                index: i
+            });
 
-                    var v = parseInt(style[styleName], 10);
-                    v = isNaN(v) ? 0 : v;
+            child.onKeyframeBegin.on(function (sender, frameIndex, frame, element) {
+                self.onKeyframeBegin(frameIndex, frame, element);
+            });
 
-                    frame[name] = parseInt(frame[name], 10);
-                    frame[name] = isNaN(frame[name]) ? 0 : frame[name];
+            child.onKeyframeEnd.on(function (sender, frameIndex, frame, element) {
+                self.onKeyframeEnd(frameIndex, frame, element);
+            });
 
-                    deltas[styleName] = {delta: frame[name] - v, initial: v};
-                }
-            }
-            else
-            {
-                var style = this.getStyle(name);
+            child.onLoop.on(function (sender, iteration, element) {
+                self.onLoop(iteration, element);
+            });
 
-                for (var styleName in style)
-                {
-                    if (!style.hasOwnProperty(styleName)) continue;
+            this.group.add(child, this.getStaggerDelay(i, targets.length, targets[i]));
+        }
+    },
 
-                    var rgbSource = this.getRGB(style[styleName]);
-                    var rgbTarget = this.getRGB(frame[name]);
+    /**
+     * Internal use only. Returns array of elements to be animated
+     */
+    getTargets: function () {
+        var element = this.element;
+        var ret = [];
 
-                    if (rgbSource && rgbTarget)
-                    {
-                        deltas[styleName] = {
-                            r: {delta: rgbTarget[0] - rgbSource[0], initial: rgbSource[0]},
-                            g: {delta: rgbTarget[1] - rgbSource[1], initial: rgbSource[1]},
-                            b: {delta: rgbTarget[2] - rgbSource[2], initial: rgbSource[2]}
-                        };
+        if (!element) return ret;
+        if (element.nodeType) return [element];
 
-                        if (typeof rgbTarget[3] !== 'undefined' || rgbSource[3] !== 'undefined') {
-                            rgbTarget[3] = typeof rgbTarget[3] == 'undefined' ? 1 : rgbTarget[3];
-                            rgbSource[3] = typeof rgbSource[3] == 'undefined' ? 1 : rgbSource[3];
+        if (typeof element === 'string')
+        {
+            element = document.querySelectorAll(element);
+        }
 
-                            deltas[styleName].a = {delta: rgbTarget[3] - rgbSource[3], initial: rgbSource[3]};
-                        }
-                    }
-                }
-            }
+        for (var i = 0; i < element.length; i++)
+        {
+            ret.push(element[i]);
         }
 
-        this.onKeyframeBegin(frameIndex, this.keyframes[frameIndex]);
+        return ret;
+    },
 
-        var startTime = (new Date()).getTime();
-        var lastProgress;
-        var self = this;
-        var duration = frame.duration || this.duration;
+    /**
+     * Internal use only. Returns the delay of animation of element at given index
+     */
+    getStaggerDelay: function (index, count, element) {
+        var stagger = this.stagger;
 
-        this.requestAnimationFrame(function () {
+        if (!stagger) return 0;
+        if (stagger instanceof Function) return stagger(index, count, element) || 0;
+        if (typeof stagger === 'number') return index * stagger;
 
-            var now = (new Date()).getTime();
-            var progress = (1 - (((startTime + duration) - now) / duration));
-            if (progress > 1) progress = 1;
-            if (progress == lastProgress) return;
+        var from = stagger.from || 0;
 
-            lastProgress = progress;
+        if (from == 'start')
+        {
+            from = 0;
+        }
+        else if (from == 'center')
+        {
+            from = (count - 1) / 2;
+        }
+        else if (from == 'end')
+        {
+            from = count - 1;
+        }
 
-            for (var name in deltas)
-            {
-                if (!deltas.hasOwnProperty(name)) continue;
+        return Math.abs(index - from) * (stagger.each || 0);
+    },
 
-                if (name.match(/color$/i))
-                {
-                    var r = self.timingFunction(frame.timing, progress, deltas[name].r.initial, deltas[name].r.delta);
-                    var g = self.timingFunction(frame.timing, progress, deltas[name].g.initial, deltas[name].g.delta);
-                    var b = self.timingFunction(frame.timing, progress, deltas[name].b.initial, deltas[name].b.delta);
-
-                    if (typeof deltas[name].a !== 'undefined') {
-                        var a = self.timingFunction('linear', progress, deltas[name].a.initial, deltas[name].a.delta);
-                        self.element.style[name] = 'rgba(' + Math.round(r) + ', ' + Math.round(g) + ', ' + Math.round(b) + ', ' + a + ')';
-                    } else {
-                        self.element.style[name] = 'rgb(' + Math.round(r) + ', ' + Math.round(g) + ', ' + Math.round(b) + ')';
-                    }
-                }
-                else
-                {
-                    self.element.style[name] = Math.round(self.timingFunction(frame.timing, progress, deltas[name].initial, deltas[name].delta)) + 'px';
-                }
-            }
+    /**
+     * Internal use only. Ends the playback and fires end events
+     */
+    finish: function () {
+        var position = this.position;
 
-            if (progress < 1)
-            {
-                self.requestAnimationFrame(arguments.callee);
-            }
-            else
-            {
-                self.onKeyframeEnd(frameIndex, self.keyframes[frameIndex]);
+        this.position = null;
 
-                if (frameIndex < self.keyframes.length - 1)
-                {
-                    self.animateKeyframe(frameIndex + 1);
-                }
-                else if (--self.loops > 0)
-                {
-                    self.animateKeyframe(0);
-                }
-                else
-                {
-                    self.resetLoops();
-                    self.onAnimationEnd();
-                }
-            }
-        });
+        if (position)
+        {
+            this.onKeyframeEnd(position.index, this.getFrames()[position.index], this.element);
+        }
+
+        this.releaseWebAnimation();
+        this.inherited();
     },
 
     /**
-     * Internal use only. Calculates new value basing on given timing function type, progress, initial value and delta.
+     * Internal use only. Returns keyframes played in single loop. The keyframes are not modified,
+     * loops which are not alternating get additional keyframe returning to the start values.
      */
-    timingFunction: function (timing, progress, initial, delta) {
-        timing = timing || this.timing;
+    getFrames: function () {
+        var direction = this.DIRECTIONS[this.direction];
 
-        var r = ({
-            'linear': function () {
-                return initial + delta * progress;
-            },
-            'ease-out': function () {
-                if (delta > 0)
-                {
-                    return initial + delta - Math.pow(delta, Math.cos(progress * Math.PI / 2));
-                }
-                else
-                {
-                    return initial + delta + Math.pow(-delta, Math.cos(progress * Math.PI / 2));
-                }
-            },
-            'ease-in': function () {
-                if (delta > 0)
-                {
-                    return initial + Math.pow(delta, Math.sin(progress * Math.PI / 2));
-                }
-                else
-                {
-                    return initial - Math.pow(-delta, Math.sin(progress * Math.PI / 2));
-                }
-            }
-        })[timing]();
+        if (!(this.loops > 0) || !direction || direction[0] != direction[1]) return this.keyframes;
 
-        return r;
+        return this.keyframes.concat([{
+            duration: this.duration || this.keyframes[0].duration,
+            timing: this.timing || this.keyframes[0].timing
+        }]);
     },
 
     /**
-     * Internal use only. Converts css color to RGB format. Accepts the following color notation:
-     * rgb(r, g, b), #ffffff, #fff.
+     * Internal use only. Returns the duration of given keyframe
      */
-    getRGB: function (style) {
-        var m;
+    getKeyframeDuration: function (frameIndex) {
+        var frame = this.getFrames()[frameIndex];
+        var physics = frame.physics || this.physics;
 
-        if (style[0] == '#')
-        {
-            style = style.substr(1);
+        if (!physics) return frame.duration || this.duration;
 
-            if (style.length == 3)
-            {
-                var temp = style.match(/^([a-f0-9])([a-f0-9])([a-f0-9])$/i);
+        //duration of springs depends on velocities, which are known once keyframe is resolved
+        var resolved = this.resolved && this.resolved[frameIndex];
 
-                if (temp)
-                {
-                    style = '';
+        return resolved ? resolved.duration : this.getSpring(physics).duration;
+    },
 
-                    for (var i = 1; i < 4; i++)
-                    {
-                        style += temp[i] + temp[i];
-                    }
-                }
-            }
+    /**
+     * Internal use only. Returns timing function of given keyframe, spring keyframes
+     * are represented by their spring without inherited velocities
+     */
+    getKeyframeTiming: function (frameIndex) {
+        var frame = this.getFrames()[frameIndex];
+        var physics = frame.physics || this.physics;
 
-            m = style.match(/^([a-f0-9]{2})([a-f0-9]{2})([a-f0-9]{2})$/i);
+        return physics ? this.getSpring(physics) : frame.timing || this.timing;
+    },
+
+    /**
+     * Internal use only. Returns spring easing of given physics, see Animator.spring.
+     * Springs of physics without given velocity are cached.
+     */
+    getSpring: function (physics, velocity) {
+        if (typeof velocity !== 'undefined' && velocity != (physics.velocity || 0))
+        {
+            var options = {velocity: velocity};
 
-            if (m)
+            for (var name in physics)
             {
-                return [parseInt(m[1], 16), parseInt(m[2], 16), parseInt(m[3], 16)];
+                if (physics.hasOwnProperty(name) && name != 'velocity') options[name] = physics[name];
             }
+
+            return Animator.spring(options);
         }
-        else if (m = style.match(/rgba?\s*\(([0-9]+)\s*,\s*([0-9]+)\s*,\s*([0-9]+)\s*(?:,\s*([0-9]+))?\)/))
+
+        var key = 'spring(' + [physics.stiffness, physics.damping, physics.mass, physics.velocity, physics.rest].join(', ') + ')';
+
+        if (!Animator.parsedEasings[key])
         {
-            return [parseInt(m[1], 10), parseInt(m[2], 10), parseInt(m[3], 10), typeof m[4] !== 'undefined' ? parseInt(m[4], 10) : undefined];
+            Animator.parsedEasings[key] = Animator.spring(physics);
         }
 
-        return [255, 255, 255];
+        return Animator.parsedEasings[key];
     },
 
     /**
-     * Internal use only. Returns css property value of given property.
+     * Internal use only. Returns the initial velocity of spring of given property in distances
+     * per second. Velocity left on the element by interrupted spring is used when there is any.
      */
-    getStyle: function (style) {
-        var multiProperties = {
-            borderWidth:    ['borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth'],
-            borderColor:    ['borderTopColor', 'borderRightColor', 'borderBottomColor', 'borderLeftColor']
-        };
+    getSpringVelocity: function (styleName, from, to, physics) {
+        var velocities = this.element.animatorVelocity;
+        var velocity = velocities && velocities[styleName];
 
-        var el = this.element;
-        var camel = this.camelcaseString(style);
-        var ret = {};
+        if (!velocity) return physics.velocity || 0;
 
-        if (multiProperties[camel])
+        if (from instanceof Array)
         {
-            var l = multiProperties[camel].length;
+            var channel = 0;
 
-            for (var i = 0; i < l; i++)
+            for (var i = 1; i < 3; i++)
             {
-                var name = multiProperties[camel][i];
-
-                ret[name] = this.getStyle(name)[name];
+                if (Math.abs(to[i] - from[i]) > Math.abs(to[channel] - from[channel])) channel = i;
             }
 
-            return ret;
+            return to[channel] != from[channel] ? velocity[channel] * 1000 / (to[channel] - from[channel]) : 0;
         }
 
-        var hyphen = this.hyphenateString(style);
-
-        if (el.style[camel])
-        {
-            ret[camel] = el.style[camel];
-        }
-        else if (el.currentStyle)
-        {
-            ret[camel] = el.currentStyle[hyphen];
-        }
-        else if (window.getComputedStyle)
+        if (velocity.unit != to.unit)
         {
-            ret[camel] = document.defaultView.getComputedStyle(el, null).getPropertyValue(hyphen);
+            velocity = this.convertValue(styleName, velocity, to.unit);
         }
 
-        return ret;
+        return to.value != from.value ? velocity.value * 1000 / (to.value - from.value) : 0;
     },
 
     /**
-     * Internal use only. Calculates inner element width.
+     * Internal use only. Returns the number of times keyframes are played
      */
-    getInnerWidth: function () {
-        return this.element.offsetWidth -
-                parseInt(this.getStyle('padding-left')['paddingLeft'], 10) -
-                parseInt(this.getStyle('padding-right')['paddingRight'], 10) -
-                parseInt(this.getStyle('border-left-width')['borderLeftWidth'], 10) -
-                parseInt(this.getStyle('border-right-width')['borderRightWidth'], 10);
+    getIterations: function () {
+        return Math.max(1, this.loops);
     },
 
     /**
-     * Internal use only. Calculates inner element height.
+     * Internal use only. Returns the duration of single loop
      */
-    getInnerHeight: function () {
-        return this.element.offsetHeight -
-                parseInt(this.getStyle('padding-top')['paddingTop'], 10) -
-                parseInt(this.getStyle('padding-bottom')['paddingBottom'], 10) -
-                parseInt(this.getStyle('border-top-width')['borderTopWidth'], 10) -
-                parseInt(this.getStyle('border-bottom-width')['borderBottomWidth'], 10);
+    getIterationDuration: function () {
+        var l = this.getFrames().length;
+        var total = 0;
+
+        for (var i = 0; i < l; i++)
+        {
+            total += this.getKeyframeDuration(i);
+        }
+
+        return total;
     },
 
     /**
-     * Internal use only. Converts hyphenated string to camel-cased string.
+     * Internal use only. Returns true if loop of given index is played backwards
      */
-    camelcaseString: function (str) {
-        return str.replace(/(-[a-z])/g, function (m) {
-            return m.substr(1, 1).toUpperCase();
-        });
+    isReversedIteration: function (iteration) {
+        return (this.DIRECTIONS[this.direction] || this.DIRECTIONS.normal)[iteration % 2];
     },
 
     /**
-     * Internal use only. Converts camel-cased string to hyphenated string.
+     * Returns the duration of the whole animation including all loops and delays between them
+     * (and stagger delays when multiple elements are animated). Infinite animation returns Infinity.
      */
-    hyphenateString: function (str) {
-        return str.replace(/([a-z][A-Z])/g, function (m) {
-            return m.substr(0, 1) + '-' + m.substr(1, 1).toLowerCase();
-        });
+    getTotalDuration: function () {
+        if (this.group) return this.group.getTotalDuration();
+
+        var iterations = this.getIterations();
+
+        if (iterations == Infinity) return Infinity;
+
+        var total = this.getIterationDuration() * iterations + this.repeatDelay * (iterations - 1);
+
+        if (this.element && !this.element.nodeType)
+        {
+            var targets = this.getTargets();
+            var delay = 0;
+
+            for (var i = 0; i < targets.length; i++)
+            {
+                delay = Math.max(delay, this.getStaggerDelay(i, targets.length, targets[i]));
+            }
+
+            total += delay;
+        }
+
+        return total;
     },
 
     /**
-     * Event is fired when animation begins
+     * Internal use only. Translates time into the position within animation:
+     * {iteration, index, progress} where index is the index of keyframe and progress
+     * is a fraction of that keyframe (0..1). Delay between loops keeps the end
+     * of the previous loop.
      */
-    onAnimationBegin: function () {},
+    getPosition: function (time) {
+        var iterationDuration = this.getIterationDuration();
+        var cycle = iterationDuration + this.repeatDelay;
+        var iterations = this.getIterations();
+        var iteration = cycle > 0 ? Math.floor(time / cycle) : 0;
+        var local;
 
-    /**
-     * Event is fired when animation ends
-     */
-    onAnimationEnd: function () {},
+        if (iteration >= iterations)
+        {
+            iteration = iterations - 1;
+            local = iterationDuration;
+        }
+        else
+        {
+            local = Math.min(iterationDuration, time - iteration * cycle);
+        }
 
-    /**
-     * Event is fired when keyframe begins being animated
-     */
-    onKeyframeBegin: function (frameIndex, frame) {},
+        if (this.isReversedIteration(iteration))
+        {
+            local = iterationDuration - local;
+        }
 
-    /**
-     * Event is fired when keyframe has finished being animated
-     */
-    onKeyframeEnd: function (frameIndex, frame) {}
-});
\ No newline at end of file
+        var l = this.getFrames().length;
+        var start = 0;
+
+        for (var i = 0; i < l; i++)
+        {
+            var d = this.getKeyframeDuration(i);
+
+            if (local < start + d || i == l - 1)
+            {
+                return {
+                    iteration: iteration,
+                    index: i,
+                    progress: d > 0 ? Math.max(0, Math.min(1, (local - start) / d)) : 1
+                };
+            }
+
+            start += d;
+        }
+    },
+
+    /**
+     * Internal use only. Returns the ordinal number of keyframe at given position, counted
+     * in order in which keyframes are played from the beginning of the first loop
+     */
+    getSequence: function (position) {
+        var l = this.getFrames().length;
+
+        return position.iteration * l + (this.isReversedIteration(position.iteration) ? l - 1 - position.index : position.index);
+    },
+
+    /**
+     * Internal use only. Translates the ordinal number of keyframe (see getSequence())
+     * into {iteration, index}
+     */
+    getSequencePosition: function (sequence) {
+        var l = this.getFrames().length;
+        var iteration = Math.floor(sequence / l);
+        var index = sequence - iteration * l;
+
+        return {
+            iteration: iteration,
+            index: this.isReversedIteration(iteration) ? l - 1 - index : index
+        };
+    },
+
+    /**
+     * Internal use only. Moves the playback to given time, fires keyframe and loop events for
+     * keyframes and loops that were left and entered and renders the element. If crossed is true,
+     * events are fired also for keyframes and loops that were skipped entirely.
+     */
+    moveTo: function (time, crossed) {
+        if (this.group)
+        {
+            this.currentTime = time;
+            this.group.drive(time, crossed);
+
+            return;
+        }
+
+        var position = this.getPosition(time);
+        var previous = this.position;
+        var frames = this.getFrames();
+
+        this.currentTime = time;
+
+        if (!previous || previous.iteration != position.iteration || previous.index != position.index)
+        {
+            if (previous)
+            {
+                var iteration = previous.iteration;
+
+                this.onKeyframeEnd(previous.index, frames[previous.index], this.element);
+
+                if (crossed)
+                {
+                    var from = this.getSequence(previous);
+                    var to = this.getSequence(position);
+                    var step = to > from ? 1 : -1;
+
+                    for (var i = from + step; i != to; i += step)
+                    {
+                        var crossing = this.getSequencePosition(i);
+
+                        if (crossing.iteration != iteration)
+                        {
+                            iteration = crossing.iteration;
+                            this.onLoop(iteration, this.element);
+                        }
+
+                        this.resolveKeyframe(crossing.index);
+                        this.onKeyframeBegin(crossing.index, frames[crossing.index], this.element);
+                        this.onKeyframeEnd(crossing.index, frames[crossing.index], this.element);
+                    }
+                }
+
+                if (position.iteration != iteration)
+                {
+                    this.onLoop(position.iteration, this.element);
+                }
+            }
+
+            this.resolveKeyframe(position.index);
+            this.position = position;
+            this.onKeyframeBegin(position.index, frames[position.index], this.element);
+        }
+
+        this.position = position;
+        this.render(position);
+    },
+
+    /**
+     * Internal use only. Returns start and target values of given keyframe, see computeKeyframe().
+     * Errors are completed with index of the keyframe.
+     */
+    resolveKeyframe: function (frameIndex) {
+        if (this.resolved[frameIndex]) return this.resolved[frameIndex];
+
+        try
+        {
+            return this.computeKeyframe(frameIndex);
+        }
+        catch (e)
+        {
+            if (e instanceof AnimatorError && !e.details.hasOwnProperty('keyframe')) e.details.keyframe = frameIndex;
+
+            throw e;
+        }
+    },
+
+    /**
+     * Internal use only. Computes start and target values of given keyframe. Start
+     * values are the target values of previous keyframe, properties which were not
+     * animated before are taken from `from` option or read from the element. Keyframe
+     * ending the loop (see getFrames()) targets the initial values.
+     */
+    computeKeyframe: function (frameIndex) {
+        var frame = this.getFrames()[frameIndex];
+        var previous = frameIndex > 0 ? this.resolveKeyframe(frameIndex - 1) : null;
+        var resolved = {from: {}, to: {}};
+        var styleNames, value, i;
+
+        if (previous)
+        {
+            for (var styleName in previous.to)
+            {
+                if (!previous.to.hasOwnProperty(styleName)) continue;
+
+                resolved.from[styleName] = resolved.to[styleName] = previous.to[styleName];
+            }
+        }
+        else if (this.from)
+        {
+            for (var name in this.from)
+            {
+                if (!this.from.hasOwnProperty(name)) continue;
+
+                this.readInitialValue(name, resolved);
+
+                styleNames = this.expandProperty(name);
+                value = this.expandValue(name, this.evaluateValue(this.from[name]), styleNames.length);
+
+                for (i = 0; i < styleNames.length; i++)
+                {
+                    this.initialState[styleNames[i]] = resolved.from[styleNames[i]] = resolved.to[styleNames[i]] = this.parseValue(styleNames[i], value[i]);
+                }
+            }
+        }
+
+        for (name in frame)
+        {
+            if (!frame.hasOwnProperty(name) || this.KEYFRAME_CONFIG_PROPERTIES.indexOf(name) >= 0) continue;
+
+            if (name == 'motionPath')
+            {
+                this.resolveMotionPath(this.evaluateValue(frame[name]), resolved);
+
+                continue;
+            }
+
+            if (name == 'drawLine')
+            {
+                this.resolveDrawLine(this.evaluateValue(frame[name]), resolved);
+
+                continue;
+            }
+
+            this.readInitialValue(name, resolved);
+
+            var target = this.evaluateValue(frame[name]);
+            var source = null;
+
+            if (target instanceof Array)
+            {
+                source = this.evaluateValue(target[0]);
+                target = this.evaluateValue(target[1]);
+            }
+
+            styleNames = this.expandProperty(name);
+            target = this.expandValue(name, target, styleNames.length);
+
+            if (source !== null)
+            {
+                source = this.expandValue(name, source, styleNames.length);
+            }
+
+            for (i = 0; i < styleNames.length; i++)
+            {
+                if (source !== null)
+                {
+                    resolved.from[styleNames[i]] = this.parseValue(styleNames[i], source[i]);
+                }
+
+                value = this.parseTarget(styleNames[i], target[i], resolved.from[styleNames[i]]);
+
+                if (typeof value.unit !== 'undefined' && resolved.from[styleNames[i]].unit != value.unit)
+                {
+                    resolved.from[styleNames[i]] = this.convertValue(styleNames[i], resolved.from[styleNames[i]], value.unit);
+                }
+
+                resolved.to[styleNames[i]] = value;
+            }
+        }
+
+        if (frameIndex == this.keyframes.length)
+        {
+            for (name in this.initialState)
+            {
+                if (!this.initialState.hasOwnProperty(name)) continue;
+
+                value = this.initialState[name];
+
+                if (typeof value.unit !== 'undefined' && resolved.from[name].unit != value.unit)
+                {
+                    resolved.from[name] = this.convertValue(name, resolved.from[name], value.unit);
+                }
+
+                resolved.to[name] = value;
+            }
+        }
+
+        for (name in resolved.to)
+        {
+            if (resolved.to.hasOwnProperty(name) && resolved.to[name].subpaths)
+            {
+                var paths = Animator.matchPaths(resolved.from[name], resolved.to[name]);
+
+                resolved.from[name] = paths[0];
+                resolved.to[name] = paths[1];
+            }
+        }
+
+        var physics = frame.physics || this.physics;
+
+        if (physics)
+        {
+            resolved.springs = {};
+            resolved.duration = 0;
+
+            for (name in resolved.to)
+            {
+                if (!resolved.to.hasOwnProperty(name)) continue;
+
+                value = this.getSpringVelocity(name, resolved.from[name], resolved.to[name], physics);
+
+                resolved.springs[name] = this.getSpring(physics, value);
+                resolved.duration = Math.max(resolved.duration, resolved.springs[name].duration);
+            }
+        }
+
+        this.resolved[frameIndex] = resolved;
+
+        return resolved;
+    },
+
+    /**
+     * Internal use only. Resolves motionPath property of keyframe - translate (and rotate when
+     * autoRotate is set) channels follow the path instead of being interpolated
+     */
+    resolveMotionPath: function (options, resolved) {
+        if (typeof options === 'string' || options instanceof Array || options.nodeType)
+        {
+            options = {path: options};
+        }
+
+        var path = Animator.motionPath(options.path);
+        var start = options.hasOwnProperty('start') ? options.start : 0;
+        var end = options.hasOwnProperty('end') ? options.end : 1;
+        var align = options.align || [0, 0];
+        var offsetX = align[0] * this.element.offsetWidth;
+        var offsetY = align[1] * this.element.offsetHeight;
+        var rotate = options.autoRotate === true ? 0 : options.autoRotate;
+
+        var motionPath = {
+            point: function (amount) {
+                return path(start + (end - start) * amount);
+            },
+            channels: {
+                translateX: function (point) {
+                    return {value: point.x - offsetX, unit: 'px'};
+                },
+                translateY: function (point) {
+                    return {value: point.y - offsetY, unit: 'px'};
+                }
+            }
+        };
+
+        if (typeof rotate === 'number')
+        {
+            motionPath.channels.rotate = function (point) {
+                return {value: point.angle + rotate, unit: 'deg'};
+            };
+        }
+
+        this.readInitialValue('translateX', resolved);
+
+        for (var name in motionPath.channels)
+        {
+            if (motionPath.channels.hasOwnProperty(name)) resolved.to[name] = motionPath.channels[name](motionPath.point(1));
+        }
+
+        resolved.motionPath = motionPath;
+    },
+
+    /**
+     * Internal use only. Resolves drawLine property of keyframe - the drawn fraction of svg shape
+     * is translated to its stroke dash array and offset
+     */
+    resolveDrawLine: function (fraction, resolved) {
+        var length = this.getTotalLength();
+        var value = fraction;
+
+        fraction = parseFloat(fraction);
+        if (isNaN(fraction)) throw new ConfigurationError('Invalid drawLine value', 'INVALID_VALUE', {property: 'drawLine', value: value});
+
+        this.readInitialValue('drawLine', resolved);
+
+        resolved.to.strokeDasharray = {numbers: [length, length], template: ['', ' ', '']};
+        resolved.to.strokeDashoffset = {numbers: [length * (1 - fraction)], template: ['', '']};
+    },
+
+    /**
+     * Internal use only. Reads drawn part of svg shape from its stroke dash array and offset.
+     * Shape which is not dashed as by drawLine is drawn entirely.
+     */
+    readDrawLine: function () {
+        var length = this.getTotalLength();
+        var dashes = this.readValue('strokeDasharray').strokeDasharray;
+        var offset = this.readValue('strokeDashoffset').strokeDashoffset;
+
+        if (dashes.numbers.length != 2 || offset.numbers.length != 1)
+        {
+            dashes = {numbers: [length, length], template: ['', ' ', '']};
+            offset = {numbers: [0], template: ['', '']};
+        }
+
+        return {strokeDasharray: dashes, strokeDashoffset: offset};
+    },
+
+    /**
+     * Internal use only. Returns the length of animated svg shape
+     */
+    getTotalLength: function () {
+        if (!(this.element.getTotalLength instanceof Function)) throw new UnsupportedPropertyError('Property drawLine could be animated on svg shapes only', 'UNSUPPORTED_ELEMENT', {property: 'drawLine'});
+
+        return this.element.getTotalLength();
+    },
+
+    /**
+     * Internal use only. Reads value of given property from the element, unless it is already
+     * known, and stores it as initial value and as start value of keyframe being resolved.
+     */
+    readInitialValue: function (name, resolved) {
+        if (!this.isAnimatable(name)) throw new UnsupportedPropertyError('Property ' + name + ' could not be animated, it is neither css property nor registered by Animator.registerProperty()', 'UNSUPPORTED_PROPERTY', {property: name});
+
+        var current = this.readValue(name);
+
+        for (var styleName in current)
+        {
+            if (!current.hasOwnProperty(styleName)) continue;
+
+            if (!this.initialState.hasOwnProperty(styleName))
+            {
+                this.initialState[styleName] = current[styleName];
+            }
+
+            if (!resolved.from.hasOwnProperty(styleName))
+            {
+                resolved.from[styleName] = resolved.to[styleName] = current[styleName];
+            }
+        }
+    },
+
+    /**
+     * Internal use only. Evaluates function value of keyframe property
+     */
+    evaluateValue: function (value) {
+        return value instanceof Function ? value(this.element, this.index) : value;
+    },
+
+    /**
+     * Internal use only. Parses target value of keyframe property, relative values ('+=50', '-=10%')
+     * are computed from given start value.
+     */
+    parseTarget: function (styleName, value, source) {
+        var m = typeof value === 'string' ? value.match(/^\s*([-+])=\s*(.+)$/) : null;
+
+        if (!m) return this.parseValue(styleName, value);
+
+        //only numbers (with units) and single numbers of lists could be added to
+        if (!source || source instanceof Array || source.subpaths || (!source.numbers && typeof source.value !== 'number'))
+        {
+            throw new UnsupportedPropertyError('Relative values are not supported by property ' + styleName, 'UNSUPPORTED_RELATIVE_VALUE', {property: styleName, value: value});
+        }
+
+        var delta = this.parseValue(styleName, m[2]);
+
+        if (delta.numbers)
+        {
+            if (delta.numbers.length != 1 || source.numbers.length != 1) throw new UnsupportedPropertyError('Relative values are not supported by lists of ' + styleName, 'UNSUPPORTED_RELATIVE_VALUE', {property: styleName, value: value});
+
+            return {numbers: [source.numbers[0] + (m[1] == '-' ? -delta.numbers[0] : delta.numbers[0])], template: source.template};
+        }
+
+        if (source.unit != delta.unit)
+        {
+            source = this.convertValue(styleName, source, delta.unit);
+        }
+
+        return {value: source.value + (m[1] == '-' ? -delta.value : delta.value), unit: delta.unit};
+    },
+
+    /**
+     * Internal use only. Returns names of css properties (or transform channels) that are
+     * set by given keyframe property. Multi properties are split into single ones.
+     */
+    expandProperty: function (name) {
+        if (name == 'drawLine') return ['strokeDasharray', 'strokeDashoffset'];
+        if (this.isAttribute(name)) return [name];
+        if (name == 'scale') return ['scaleX', 'scaleY'];
+
+        name = this.camelcaseString(name);
+
+        return this.MULTI_PROPERTIES.hasOwnProperty(name) ? this.MULTI_PROPERTIES[name].slice(0) : [name];
+    },
+
+    /**
+     * Internal use only. Returns values of single properties (count of them) set by given keyframe
+     * property. Value of multi property is split into 1 to 4 parts assigned as by css - top (or
+     * top left), right, bottom, left - e.g. margin: '10px 20px' sets vertical and horizontal margins.
+     */
+    expandValue: function (name, value, count) {
+        var values = [];
+
+        if (!this.MULTI_PROPERTIES.hasOwnProperty(this.camelcaseString(name)) || typeof value !== 'string')
+        {
+            for (var i = 0; i < count; i++)
+            {
+                values.push(value);
+            }
+
+            return values;
+        }
+
+        values = this.splitValue(value, ' ');
+
+        if (value.indexOf('/') >= 0) throw new UnsupportedPropertyError('Elliptical values are not supported by property ' + name, 'UNSUPPORTED_VALUE', {property: name, value: value});
+        if (!values.length || values.length > 4) throw new ConfigurationError('Invalid value ' + value + ' of property ' + name, 'INVALID_VALUE', {property: name, value: value});
+
+        return this.expandBox(values);
+    },
+
+    /**
+     * Internal use only. Completes 1 to 4 values of box sides to all 4 (top, right, bottom, left),
+     * the same way as css does
+     */
+    expandBox: function (values) {
+        return [values[0], values.length > 1 ? values[1] : values[0], values.length > 2 ? values[2] : values[0], values.length > 3 ? values[3] : (values.length > 1 ? values[1] : values[0])];
+    },
+
+    /**
+     * Internal use only. Splits value by given separator (',' or ' ' for any white space), separators
+     * within parentheses are skipped, e.g. 'rgb(0, 0, 0) 0 2px, red 1px 1px' by ',' gives 2 parts
+     */
+    splitValue: function (value, separator) {
+        var ret = [];
+        var depth = 0;
+        var part = '';
+
+        value = String(value);
+
+        for (var i = 0; i <= value.length; i++)
+        {
+            var c = value.charAt(i);
+
+            if (c == '(') depth++;
+            if (c == ')') depth--;
+
+            if (i == value.length || (!depth && (separator == ' ' ? c.match(/\s/) : c == separator)))
+            {
+                part = part.replace(/^\s+|\s+$/g, '');
+
+                if (part !== '') ret.push(part);
+
+                part = '';
+            }
+            else
+            {
+                part += c;
+            }
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Returns true if given keyframe property could be animated - it is registered,
+     * animated by the animation itself, svg attribute or css property of the element
+     */
+    isAnimatable: function (name) {
+        if (Animator.properties.hasOwnProperty(name) || this.KEYFRAME_SPECIAL_PROPERTIES.indexOf(name) >= 0 || this.isAttribute(name)) return true;
+
+        return !!this.element && !!this.element.style && typeof this.element.style[this.camelcaseString(name)] !== 'undefined';
+    },
+
+    /**
+     * Internal use only. Returns handler of given css property, transform channel or attribute (see
+     * Animator.registerProperty). Colors which are not registered are handled as colors, other
+     * properties by Animator.defaultProperty.
+     */
+    getProperty: function (styleName) {
+        if (Animator.properties.hasOwnProperty(styleName)) return Animator.properties[styleName];
+
+        return this.isColor(styleName) ? Animator.properties.color : Animator.defaultProperty;
+    },
+
+    /**
+     * Internal use only. Reads current value of given property from the element. Returns
+     * object with values for each css property (multi properties are split into single ones).
+     * Reading any of transform channels returns all of them, as they are written together.
+     */
+    readValue: function (name) {
+        if (name == 'drawLine') return this.readDrawLine();
+
+        var ret = {};
+        var styleNames = name == 'scale' || this.TRANSFORM_CHANNELS.hasOwnProperty(name) ? [] : this.expandProperty(name);
+
+        if (!styleNames.length)
+        {
+            for (var channel in this.TRANSFORM_CHANNELS)
+            {
+                if (this.TRANSFORM_CHANNELS.hasOwnProperty(channel)) styleNames.push(channel);
+            }
+        }
+
+        for (var i = 0; i < styleNames.length; i++)
+        {
+            ret[styleNames[i]] = this.parseValue(styleNames[i], this.getProperty(styleNames[i]).read.call(this, styleNames[i]));
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Parses value of given css property (or transform channel) to the form
+     * that can be interpolated by its handler: {value, unit} for sizes, positions, opacity and
+     * transforms, [r, g, b, a] for colors, {numbers, template} for svg attributes.
+     */
+    parseValue: function (styleName, value) {
+        return this.getProperty(styleName).parse.call(this, value, styleName);
+    },
+
+    /**
+     * Internal use only. Returns true if given property is animated as attribute of svg element
+     */
+    isAttribute: function (styleName) {
+        return !!this.element && this.element.namespaceURI == 'http://www.w3.org/2000/svg' && this.SVG_ATTRIBUTES.indexOf(styleName) >= 0;
+    },
+
+    /**
+     * Internal use only. Returns name of svg attribute of given property
+     */
+    getAttributeName: function (styleName) {
+        return styleName == 'viewBox' ? styleName : this.hyphenateString(styleName);
+    },
+
+    /**
+     * Internal use only. Returns true if given property (or attribute) is a color
+     */
+    isColor: function (styleName) {
+        return !!styleName.match(/color$/i) || styleName == 'fill' || styleName == 'stroke';
+    },
+
+    /**
+     * Internal use only. Parses attribute value to list of numbers with the text around them:
+     * {numbers, template}, e.g. '0 0 100 50' or '10,20 30,40'
+     */
+    parseList: function (value) {
+        var parts = String(value).split(/([-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:e[-+]?[0-9]+)?)/i);
+        var ret = {numbers: [], template: []};
+
+        for (var i = 0; i < parts.length; i++)
+        {
+            if (i % 2)
+            {
+                ret.numbers.push(parseFloat(parts[i]));
+            }
+            else
+            {
+                ret.template.push(parts[i]);
+            }
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Formats parsed path (see Animator.parsePath) to svg path data
+     */
+    formatPath: function (value) {
+        var ret = [];
+
+        function round (n)
+        {
+            return Math.round(n * 1000) / 1000;
+        }
+
+        for (var i = 0; i < value.subpaths.length; i++)
+        {
+            var points = value.subpaths[i].points;
+
+            ret.push('M' + round(points[0]) + ' ' + round(points[1]));
+
+            for (var j = 2; j < points.length; j += 6)
+            {
+                ret.push('C' + round(points[j]) + ' ' + round(points[j + 1]) + ' ' + round(points[j + 2]) + ' ' +
+                    round(points[j + 3]) + ' ' + round(points[j + 4]) + ' ' + round(points[j + 5]));
+            }
+
+            if (value.subpaths[i].closed) ret.push('Z');
+        }
+
+        return ret.join(' ');
+    },
+
+    /**
+     * Internal use only. Interpolates lists of numbers and paths. Lists of different lengths
+     * could not be interpolated, they are switched in the middle of keyframe.
+     */
+    interpolateList: function (from, to, amount) {
+        var i, j;
+
+        if (from.numbers)
+        {
+            if (from.numbers.length != to.numbers.length) return amount < 0.5 ? from : to;
+
+            var numbers = [];
+
+            for (i = 0; i < from.numbers.length; i++)
+            {
+                numbers.push(from.numbers[i] + (to.numbers[i] - from.numbers[i]) * amount);
+            }
+
+            return {numbers: numbers, template: to.template};
+        }
+
+        var subpaths = [];
+
+        if (from.subpaths.length != to.subpaths.length) return amount < 0.5 ? from : to;
+
+        for (i = 0; i < from.subpaths.length; i++)
+        {
+            var a = from.subpaths[i].points, b = to.subpaths[i].points;
+            var points = [];
+
+            if (a.length != b.length) return amount < 0.5 ? from : to;
+
+            for (j = 0; j < a.length; j++)
+            {
+                points.push(a[j] + (b[j] - a[j]) * amount);
+            }
+
+            subpaths.push({points: points, closed: amount < 0.5 ? from.subpaths[i].closed : to.subpaths[i].closed});
+        }
+
+        return {subpaths: subpaths};
+    },
+
+    /**
+     * Internal use only. Parses number with optional unit, {value, unit} - given unit is used for plain
+     * numbers. Returns null if value is not a number.
+     */
+    parseNumber: function (value, unit) {
+        var m = String(value).match(/^\s*([-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:e[-+]?[0-9]+)?)\s*([a-z%]*)\s*$/i);
+
+        if (!m) return null;
+
+        return {value: parseFloat(m[1]), unit: m[2] ? m[2].toLowerCase() : unit};
+    },
+
+    /**
+     * Internal use only. Parses compound value of given property to list of layers (shadows, filter
+     * functions, background positions), each of them {template, values, identity} - values are
+     * {value, unit} numbers and [r, g, b, a] colors placed between strings of template, identity
+     * are the values of layer which does not change the element (zero shadow, blur(0) etc.)
+     */
+    parseCompound: function (value, name) {
+        var ret = {layers: [], separator: name == 'filter' ? ' ' : ', '};
+        var none = value === null || typeof value === 'undefined' || String(value).match(/^\s*(none)?\s*$/i);
+
+        if (name == 'backgroundPosition')
+        {
+            ret.layers = this.parsePositions(none ? '0% 0%' : value, name);
+        }
+        else if (none)
+        {
+            return ret;
+        }
+        else if (name == 'boxShadow' || name == 'textShadow')
+        {
+            ret.layers = this.parseShadows(value, name);
+        }
+        else if (name == 'filter')
+        {
+            ret.layers = this.parseFilters(value, name);
+        }
+        else
+        {
+            ret.layers = [this.parseShape(value, name)];
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Parses comma separated shadows of boxShadow ('x y blur spread color inset')
+     * or textShadow ('x y blur color') to layers with all lengths and color first
+     */
+    parseShadows: function (value, name) {
+        var shadows = this.splitValue(value, ',');
+        var lengthsCount = name == 'boxShadow' ? 4 : 3;
+        var ret = [];
+
+        for (var i = 0; i < shadows.length; i++)
+        {
+            var parts = this.splitValue(shadows[i], ' ');
+            var lengths = [];
+            var color = null;
+            var inset = false;
+
+            for (var j = 0; j < parts.length; j++)
+            {
+                var length = this.parseNumber(parts[j], 'px');
+
+                if (parts[j].toLowerCase() == 'inset')
+                {
+                    inset = true;
+                }
+                else if (length)
+                {
+                    lengths.push(length);
+                }
+                else
+                {
+                    color = Animator.properties.color.parse.call(this, parts[j], name);
+                }
+            }
+
+            if (lengths.length < 2 || lengths.length > lengthsCount || (inset && name != 'boxShadow'))
+            {
+                throw new ConfigurationError('Invalid shadow ' + shadows[i], 'INVALID_VALUE', {property: name, value: value});
+            }
+
+            while (lengths.length < lengthsCount) lengths.push({value: 0, unit: 'px'});
+
+            var layer = {template: [''], values: [color || Animator.properties.color.parse.call(this, 'currentcolor', name)], identity: []};
+
+            layer.identity.push([layer.values[0][0], layer.values[0][1], layer.values[0][2], 0]);
+
+            for (j = 0; j < lengths.length; j++)
+            {
+                layer.template.push(' ');
+                layer.values.push(lengths[j]);
+                layer.identity.push({value: 0, unit: lengths[j].unit});
+            }
+
+            layer.template.push(inset ? ' inset' : '');
+            ret.push(layer);
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Parses filter functions to layers, drop-shadow() is parsed as text shadow.
+     * Unknown functions (e.g. url()) are kept as they are.
+     */
+    parseFilters: function (value, name) {
+        var filters = this.splitValue(value, ' ');
+        var ret = [];
+
+        for (var i = 0; i < filters.length; i++)
+        {
+            var m = filters[i].match(/^([a-z-]+)\((.*)\)$/i);
+
+            if (!m) throw new ConfigurationError('Invalid filter ' + filters[i], 'INVALID_VALUE', {property: name, value: value});
+
+            var fn = m[1].toLowerCase();
+
+            if (fn == 'drop-shadow')
+            {
+                var shadow = this.parseShadows(m[2], 'textShadow')[0];
+
+                shadow.template[0] = fn + '(' + shadow.template[0];
+                shadow.template[shadow.template.length - 1] += ')';
+                ret.push(shadow);
+            }
+            else if (this.FILTER_FUNCTIONS.hasOwnProperty(fn))
+            {
+                var amount = this.parseNumber(m[2], this.FILTER_FUNCTIONS[fn][0]);
+
+                if (!amount) throw new ConfigurationError('Invalid filter ' + filters[i], 'INVALID_VALUE', {property: name, value: value});
+
+                //percentages of color filters are the same as numbers
+                if (amount.unit == '%' && fn != 'blur' && fn != 'hue-rotate') amount = {value: amount.value / 100, unit: ''};
+
+                ret.push({template: [fn + '(', ')'], values: [amount], identity: [{value: this.FILTER_FUNCTIONS[fn][1], unit: amount.unit}]});
+            }
+            else
+            {
+                ret.push({template: [filters[i]], values: [], identity: []});
+            }
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Parses comma separated background positions to layers of two values (x and y),
+     * keywords are translated to percentages
+     */
+    parsePositions: function (value, name) {
+        var positions = this.splitValue(value, ',');
+        var ret = [];
+
+        for (var i = 0; i < positions.length; i++)
+        {
+            var parts = this.splitValue(positions[i].toLowerCase(), ' ');
+
+            if (parts.length == 1) parts.push('center');
+
+            //vertical keyword first, or horizontal one last
+            if (parts[0] == 'top' || parts[0] == 'bottom' || parts[1] == 'left' || parts[1] == 'right') parts.reverse();
+
+            var layer = {template: ['', ' ', ''], values: [], identity: [{value: 0, unit: '%'}, {value: 0, unit: '%'}]};
+
+            for (var j = 0; j < parts.length; j++)
+            {
+                var position = this.POSITION_KEYWORDS.hasOwnProperty(parts[j]) ? {value: this.POSITION_KEYWORDS[parts[j]], unit: '%'} : this.parseNumber(parts[j], 'px');
+
+                if (!position || parts.length > 2) throw new ConfigurationError('Invalid position ' + positions[i], 'INVALID_VALUE', {property: name, value: value});
+
+                layer.values.push(position);
+            }
+
+            ret.push(layer);
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Parses shape of clipPath. Insets and radii of inset() are completed to 4 of
+     * each, numbers of other shapes are interpolated as they are given.
+     */
+    parseShape: function (value, name) {
+        var m = String(value).match(/^\s*inset\((.*)\)\s*$/i);
+        var i;
+
+        if (!m)
+        {
+            var list = this.parseList(value);
+            var ret = {template: list.template, values: [], identity: []};
+
+            for (i = 0; i < list.numbers.length; i++)
+            {
+                ret.values.push({value: list.numbers[i], unit: ''});
+            }
+
+            ret.identity = ret.values;
+
+            return ret;
+        }
+
+        var parts = m[1].split(/\s+round\s+/i);
+        var insets = this.splitValue(parts[0], ' ');
+        var radii = parts.length > 1 ? this.splitValue(parts[1], ' ') : ['0'];
+        var values = this.expandBox(insets).concat(this.expandBox(radii));
+        var shape = {template: ['inset(', ' ', ' ', ' ', ' round ', ' ', ' ', ' ', ')'], values: [], identity: []};
+
+        if (!insets.length || insets.length > 4 || !radii.length || radii.length > 4 || m[1].indexOf('/') >= 0)
+        {
+            throw new ConfigurationError('Invalid shape ' + value, 'INVALID_VALUE', {property: name, value: value});
+        }
+
+        for (i = 0; i < values.length; i++)
+        {
+            var length = this.parseNumber(values[i], 'px');
+
+            if (!length) throw new ConfigurationError('Invalid shape ' + value, 'INVALID_VALUE', {property: name, value: value});
+
+            shape.values.push(length);
+            shape.identity.push({value: 0, unit: length.unit});
+        }
+
+        return shape;
+    },
+
+    /**
+     * Internal use only. Interpolates compound values layer by layer and value by value. Missing layers
+     * of shorter list are replaced by identity layers of the longer one (e.g. shadow fades in from zero
+     * shadow). Layers that do not match (different functions, inset and outer shadow etc.) could not
+     * be interpolated, the values are switched in the middle of keyframe then.
+     */
+    interpolateCompound: function (from, to, amount, colorSpace) {
+        var layers = [];
+        var count = Math.max(from.layers.length, to.layers.length);
+
+        //none is kept at the ends, not replaced by identity layers
+        if (amount == 0 || amount == 1) return amount ? to : from;
+
+        for (var i = 0; i < count; i++)
+        {
+            var a = from.layers[i] || {template: to.layers[i].template, values: to.layers[i].identity};
+            var b = to.layers[i] || {template: a.template, values: from.layers[i].identity, identity: from.layers[i].identity};
+            var layer = {template: b.template, values: [], identity: b.identity || a.identity};
+
+            if (a.template.join('|') != b.template.join('|') || a.values.length != b.values.length) return amount < 0.5 ? from : to;
+
+            for (var j = 0; j < a.values.length; j++)
+            {
+                var value = this.interpolateItem(a.values[j], b.values[j], amount, colorSpace);
+
+                if (!value) return amount < 0.5 ? from : to;
+
+                layer.values.push(value);
+            }
+
+            layers.push(layer);
+        }
+
+        return {layers: layers, separator: to.separator};
+    },
+
+    /**
+     * Internal use only. Interpolates single value of compound value - color or number. Numbers in
+     * different units are interpolated if one of them is zero or both are absolute. Returns null when
+     * values could not be interpolated.
+     */
+    interpolateItem: function (from, to, amount, colorSpace) {
+        if (from instanceof Array || to instanceof Array)
+        {
+            return from instanceof Array && to instanceof Array ? this.interpolateColor(from, to, amount, colorSpace) : null;
+        }
+
+        if (from.unit != to.unit)
+        {
+            if (!from.value)
+            {
+                from = {value: 0, unit: to.unit};
+            }
+            else if (!to.value)
+            {
+                to = {value: 0, unit: from.unit};
+            }
+            else if (this.ABSOLUTE_UNITS.hasOwnProperty(from.unit) && this.ABSOLUTE_UNITS.hasOwnProperty(to.unit))
+            {
+                from = {value: from.value * this.ABSOLUTE_UNITS[from.unit] / this.ABSOLUTE_UNITS[to.unit], unit: to.unit};
+            }
+            else
+            {
+                return null;
+            }
+        }
+
+        return {value: from.value + (to.value - from.value) * amount, unit: to.unit};
+    },
+
+    /**
+     * Internal use only. Formats compound value, without any layers it is none
+     */
+    formatCompound: function (value) {
+        var ret = [];
+
+        if (!value.layers.length) return 'none';
+
+        for (var i = 0; i < value.layers.length; i++)
+        {
+            var layer = value.layers[i];
+            var formatted = layer.template[0];
+
+            for (var j = 0; j < layer.values.length; j++)
+            {
+                var item = layer.values[j];
+
+                formatted += (item instanceof Array ? Animator.properties.color.format.call(this, item) : Math.round(item.value * 1000) / 1000 + item.unit) + layer.template[j + 1];
+            }
+
+            ret.push(formatted);
+        }
+
+        return ret.join(value.separator);
+    },
+
+    /**
+     * Internal use only. Returns unit used for plain numbers given for css property (or transform channel)
+     */
+    getDefaultUnit: function (styleName) {
+        if (this.UNITLESS_PROPERTIES.hasOwnProperty(styleName)) return '';
+        if (this.TRANSFORM_CHANNELS.hasOwnProperty(styleName)) return this.TRANSFORM_CHANNELS[styleName];
+
+        //properties which are not registered keep unitless numbers when the element has them
+        if (!Animator.properties.hasOwnProperty(styleName) && this.element && this.element.nodeType)
+        {
+            var current = this.parseNumber(Animator.defaultProperty.read.call(this, styleName), null);
+
+            if (current && current.unit === null) return '';
+        }
+
+        return 'px';
+    },
+
+    /**
+     * Internal use only. Converts {value, unit} of given css property (or transform channel) to another unit.
+     */
+    convertValue: function (styleName, value, unit) {
+        if (!value.value) return {value: 0, unit: unit};
+
+        return {value: value.value * this.getUnitSize(styleName, value.unit) / this.getUnitSize(styleName, unit), unit: unit};
+    },
+
+    /**
+     * Internal use only. Returns the size of one unit in base unit (px or deg), measured in context
+     * of the element and given css property (or transform channel).
+     */
+    getUnitSize: function (styleName, unit) {
+        if (this.ABSOLUTE_UNITS.hasOwnProperty(unit)) return this.ABSOLUTE_UNITS[unit];
+
+        var el = this.element;
+
+        switch (unit)
+        {
+        case '':
+            return 1;
+        case '%':
+            //translations are relative to element itself, other properties to its containing block
+            if (styleName == 'translateX') return el.offsetWidth / 100;
+            if (styleName == 'translateY') return el.offsetHeight / 100;
+
+            var parent = el.offsetParent || el.parentNode || document.documentElement;
+
+            return (styleName.match(/^(height|top|bottom)$/) ? parent.clientHeight : parent.clientWidth) / 100;
+        case 'em':
+            return parseFloat(this.getComputedStyle(el, 'font-size')) || 16;
+        case 'rem':
+            return parseFloat(this.getComputedStyle(document.documentElement, 'font-size')) || 16;
+        case 'vw':
+            return window.innerWidth / 100;
+        case 'vh':
+            return window.innerHeight / 100;
+        case 'vmin':
+            return Math.min(window.innerWidth, window.innerHeight) / 100;
+        case 'vmax':
+            return Math.max(window.innerWidth, window.innerHeight) / 100;
+        }
+
+        throw new UnsupportedPropertyError('Unit ' + unit + ' of property ' + styleName + ' is not supported', 'UNSUPPORTED_UNIT', {property: styleName, unit: unit});
+    },
+
+    /**
+     * Internal use only. Formats interpolated value of given css property (or transform channel)
+     * to the form that can be written to element style.
+     */
+    formatValue: function (styleName, value) {
+        return this.getProperty(styleName).format.call(this, value, styleName);
+    },
+
+    /**
+     * Internal use only. Reads computed transform of the element and decomposes its matrix
+     * into transform channels.
+     */
+    getTransform: function () {
+        var style = this.getStyle('transform').transform || '';
+        var m = style.match(/^matrix\(([^)]+)\)$/);
+        var ret = {translateX: 0, translateY: 0, rotate: 0, skewX: 0, skewY: 0, scaleX: 1, scaleY: 1};
+
+        if (!m) return ret;
+
+        m = m[1].split(',');
+
+        var a = parseFloat(m[0]), b = parseFloat(m[1]), c = parseFloat(m[2]), d = parseFloat(m[3]);
+        var scaleX = Math.sqrt(a * a + b * b);
+
+        ret.translateX = parseFloat(m[4]);
+        ret.translateY = parseFloat(m[5]);
+
+        if (!scaleX) return ret;
+
+        //mirrored matrix, flip the x axis
+        if (a * d - b * c < 0) scaleX = -scaleX;
+
+        a /= scaleX;
+        b /= scaleX;
+
+        var shear = a * c + b * d;
+
+        c -= a * shear;
+        d -= b * shear;
+
+        var scaleY = Math.sqrt(c * c + d * d);
+
+        if (scaleY) shear /= scaleY;
+
+        ret.scaleX = scaleX;
+        ret.scaleY = scaleY;
+        ret.rotate = Math.atan2(b, a) * 180 / Math.PI;
+        ret.skewX = Math.atan(shear) * 180 / Math.PI;
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Renders the element at given position. Within frame of a ticker the styles
+     * are written in its mutate phase (see Playback.mutate), otherwise immediately.
+     */
+    render: function (position) {
+        if (this.renderer == 'waapi')
+        {
+            if (!this.webAnimation) this.createWebAnimation();
+
+            this.syncWebAnimation();
+
+            return;
+        }
+
+        var self = this;
+        var resolved = this.resolveKeyframe(position.index);
+        var styles = this.formatValues(this.getValues(position.index, position.progress));
+        var velocities = this.element.animatorVelocity || {};
+        var pending = this.element.animatorStyles || {};
+
+        //styles are written in the mutate phase of the frame, until then they are read from here
+        for (var name in styles)
+        {
+            if (styles.hasOwnProperty(name)) pending[name] = styles[name];
+        }
+
+        this.element.animatorStyles = pending;
+
+        Playback.mutate(function () {
+            for (var name in styles)
+            {
+                if (!styles.hasOwnProperty(name)) continue;
+
+                self.getProperty(name).write.call(self, styles[name], name);
+
+                if (pending[name] === styles[name]) delete pending[name];
+            }
+        });
+
+        for (name in this.initialState)
+        {
+            if (!this.initialState.hasOwnProperty(name)) continue;
+
+            var spring = resolved.springs && resolved.springs[name];
+
+            delete velocities[name];
+
+            if (spring)
+            {
+                velocities[name] = this.getValueVelocity(resolved.from[name], resolved.to[name], spring.velocity(position.progress * resolved.duration / spring.duration));
+            }
+        }
+
+        this.element.animatorVelocity = velocities;
+    },
+
+    /**
+     * Internal use only. Computes values of all animated properties at given progress of keyframe
+     */
+    getValues: function (frameIndex, progress) {
+        var resolved = this.resolveKeyframe(frameIndex);
+        var frame = this.getFrames()[frameIndex];
+        var eased = resolved.springs ? progress : this.getEasing(frame.timing || this.timing)(progress);
+        var motionPath = resolved.motionPath;
+        var values = {};
+
+        for (var name in this.initialState)
+        {
+            if (!this.initialState.hasOwnProperty(name)) continue;
+
+            var from = resolved.from.hasOwnProperty(name) ? resolved.from[name] : this.initialState[name];
+            var to = resolved.to.hasOwnProperty(name) ? resolved.to[name] : from;
+            var spring = resolved.springs && resolved.springs[name];
+
+            //springs settle at different times, keyframe lasts as long as the slowest one
+            var amount = spring ? spring(progress * resolved.duration / spring.duration) : eased;
+
+            if (motionPath && motionPath.channels.hasOwnProperty(name))
+            {
+                values[name] = motionPath.channels[name](motionPath.point(amount));
+            }
+            else
+            {
+                values[name] = this.getProperty(name).interpolate.call(this, from, to, amount, name, frame);
+            }
+        }
+
+        return values;
+    },
+
+    /**
+     * Internal use only. Translates velocity of keyframe progress (per ms) to velocity of value
+     * between given values - {value, unit} per ms, or per ms velocities of color channels
+     */
+    getValueVelocity: function (from, to, velocity) {
+        if (!(from instanceof Array) && typeof from.value !== 'number') return null;
+
+        if (from instanceof Array)
+        {
+            var ret = [];
+
+            for (var i = 0; i < 4; i++)
+            {
+                ret.push((to[i] - from[i]) * velocity);
+            }
+
+            return ret;
+        }
+
+        return {value: (to.value - from.value) * velocity, unit: to.unit};
+    },
+
+    /**
+     * Internal use only. Formats values of css properties and transform channels to css styles,
+     * transform channels are combined into single transform property.
+     */
+    formatValues: function (values) {
+        var styles = {};
+        var transform = [];
+
+        for (var name in values)
+        {
+            if (values.hasOwnProperty(name) && !this.TRANSFORM_CHANNELS.hasOwnProperty(name))
+            {
+                styles[name] = this.formatValue(name, values[name]);
+            }
+        }
+
+        if (!values.hasOwnProperty('translateX')) return styles;
+
+        for (name in this.TRANSFORM_CHANNELS)
+        {
+            if (!this.TRANSFORM_CHANNELS.hasOwnProperty(name)) continue;
+
+            if (name == 'translateX' || name == 'scaleX')
+            {
+                var axis = name.substr(0, name.length - 1);
+                var y = axis + 'Y';
+
+                transform.push(axis + '(' + this.formatValue(name, values[name]) + ', ' + this.formatValue(y, values[y]) + ')');
+            }
+            else if (name != 'translateY' && name != 'scaleY')
+            {
+                transform.push(name + '(' + this.formatValue(name, values[name]) + ')');
+            }
+        }
+
+        styles.transform = transform.join(' ');
+
+        return styles;
+    },
+
+    /**
+     * Internal use only. Compiles keyframes into list of absolute keyframes: {offset, timing, styles}
+     * where offset is the position within single loop (0..1), timing is the timing function leading
+     * to the next keyframe and styles contains formatted values of all animated properties. Delay
+     * between loops is compiled as the end of the loop held (see getCompiledIterations()).
+     */
+    compileKeyframes: function () {
+        if (!this.element || !this.element.nodeType) throw new ConfigurationError('Keyframes could be compiled for single element only', 'SINGLE_ELEMENT_REQUIRED', {element: this.element});
+        if (!this.keyframes || !this.keyframes.length) throw new ConfigurationError('No keyframes specified', 'NO_KEYFRAMES');
+
+        //start values are read from the element again, not taken from previous run
+        this.resolved = [];
+        this.initialState = {};
+
+        var frames = this.getFrames();
+        var l = frames.length;
+        var duration = this.getIterationDuration();
+        var delay = this.repeatDelay;
+        var total = duration + delay;
+        var reversed = this.isReversedIteration(0);
+        var start = reversed ? delay : 0;
+        var samples = 24;
+        var ret = [];
+
+        if (delay > 0 && reversed != this.isReversedIteration(1)) throw new AnimatorError('Delay between alternating loops could not be compiled', 'NOT_COMPILABLE', {option: 'repeatDelay', value: delay});
+
+        //all keyframes have to be resolved first, to know all animated properties
+        this.resolveKeyframe(l - 1);
+
+        for (var attribute in this.initialState)
+        {
+            if (!this.initialState.hasOwnProperty(attribute)) continue;
+
+            if (this.isAttribute(attribute)) throw new UnsupportedPropertyError('Svg attribute ' + attribute + ' could not be compiled', 'NOT_COMPILABLE', {property: attribute});
+
+            //compiled styles are written by the browser
+            if (this.getProperty(attribute).write !== Animator.defaultProperty.write)
+            {
+                throw new UnsupportedPropertyError('Property ' + attribute + ' has its own write() and could not be compiled', 'NOT_COMPILABLE', {property: attribute});
+            }
+        }
+
+        for (var i = 0; i <= l; i++)
+        {
+            var resolved = this.resolveKeyframe(Math.min(i, l - 1));
+            var state = i < l ? resolved.from : resolved.to;
+            var values = {};
+
+            for (var name in this.initialState)
+            {
+                if (this.initialState.hasOwnProperty(name))
+                {
+                    values[name] = state.hasOwnProperty(name) ? state[name] : this.initialState[name];
+                }
+            }
+
+            if (i < l && resolved.motionPath)
+            {
+                //motion along path is compiled as sampled straight moves
+                for (var j = 0; j < samples; j++)
+                {
+                    ret.push({
+                        offset: total > 0 ? Math.min(1, (start + this.getKeyframeDuration(i) * j / samples) / total) : (i + j / samples) / l,
+                        timing: 'linear',
+                        styles: this.formatValues(this.getValues(i, j / samples))
+                    });
+                }
+            }
+            else
+            {
+                ret.push({
+                    offset: total > 0 ? Math.min(1, start / total) : i / l,
+                    timing: i < l ? this.getCSSTiming(this.getKeyframeTiming(i)) : null,
+                    styles: this.formatValues(values)
+                });
+            }
+
+            if (i < l) start += this.getKeyframeDuration(i);
+        }
+
+        //loop played backwards ends by the first keyframe
+        if (delay > 0 && reversed)
+        {
+            ret.unshift({offset: 0, timing: null, styles: ret[0].styles});
+        }
+        else if (delay > 0)
+        {
+            ret.push({offset: 1, timing: null, styles: ret[ret.length - 1].styles});
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Returns the number of loops of compiled keyframes. Delay is compiled
+     * at the end of each loop, so the last one is cut off by fractional number of loops.
+     */
+    getCompiledIterations: function () {
+        var iterations = this.getIterations();
+        var total = this.getIterationDuration() + this.repeatDelay;
+
+        return iterations == Infinity || total <= 0 ? iterations : iterations - this.repeatDelay / total;
+    },
+
+    /**
+     * Internal use only. Returns css animation-direction of compiled keyframes. Playback
+     * with negative rate starts by the last loop played backwards.
+     */
+    getCSSDirection: function () {
+        var direction = this.direction;
+
+        if (this.playbackRate >= 0) return direction;
+
+        var iterations = this.getIterations();
+        var reversed = !this.isReversedIteration(iterations == Infinity ? 0 : Math.ceil(iterations) - 1);
+
+        if (this.isReversedIteration(0) == this.isReversedIteration(1)) return reversed ? 'reverse' : 'normal';
+
+        return reversed ? 'alternate-reverse' : 'alternate';
+    },
+
+    /**
+     * Internal use only. Translates timing to css timing function. Timings which css does not know
+     * are approximated by linear() function.
+     */
+    getCSSTiming: function (timing) {
+        var css = ['linear', 'ease', 'ease-in', 'ease-out', 'ease-in-out', 'step-start', 'step-end'];
+
+        if (typeof timing === 'string' && (css.indexOf(timing) >= 0 || timing.match(/^\s*(cubic-bezier|steps)\s*\(/)))
+        {
+            return timing;
+        }
+
+        var easing = this.getEasing(timing);
+        var points = [];
+        var samples = 40;
+
+        for (var i = 0; i <= samples; i++)
+        {
+            points.push(Math.round(easing(i / samples) * 10000) / 10000 + (i > 0 && i < samples ? ' ' + Math.round(i / samples * 10000) / 100 + '%' : ''));
+        }
+
+        return 'linear(' + points.join(', ') + ')';
+    },
+
+    /**
+     * Exports the animation as css. Returns object with keyframes - @keyframes rule of given name,
+     * and animation - the value of matching animation shorthand property. Start values of properties
+     * are read from the element.
+     */
+    toCSSKeyframes: function (name) {
+        var frames = this.compileKeyframes();
+        var rules = [];
+
+        for (var i = 0; i < frames.length; i++)
+        {
+            var declarations = [];
+
+            for (var styleName in frames[i].styles)
+            {
+                if (frames[i].styles.hasOwnProperty(styleName))
+                {
+                    declarations.push(this.hyphenateString(styleName) + ': ' + frames[i].styles[styleName] + ';');
+                }
+            }
+
+            if (frames[i].timing)
+            {
+                declarations.push('animation-timing-function: ' + frames[i].timing + ';');
+            }
+
+            rules.push('    ' + Math.round(frames[i].offset * 1000000) / 10000 + '% { ' + declarations.join(' ') + ' }');
+        }
+
+        return {
+            keyframes: '@keyframes ' + name + ' {\n' + rules.join('\n') + '\n}',
+            animation: [
+                name,
+                (this.getIterationDuration() + this.repeatDelay) / Math.abs(this.playbackRate || 1) + 'ms',
+                'linear',
+                '0ms',
+                this.getIterations() == Infinity ? 'infinite' : Math.round(this.getCompiledIterations() * 10000) / 10000,
+                this.getCSSDirection(),
+                'forwards'
+            ].join(' ')
+        };
+    },
+
+    /**
+     * Internal use only. Compiles the animation to Web Animations API. The animation is created
+     * paused, its playback is synchronized by syncWebAnimation() whenever the element is rendered.
+     */
+    createWebAnimation: function () {
+        if (!(this.element.animate instanceof Function)) throw new AnimatorError('Web Animations API is not supported', 'NOT_SUPPORTED', {feature: 'animate'});
+
+        var frames = this.compileKeyframes();
+        var keyframes = [];
+
+        for (var i = 0; i < frames.length; i++)
+        {
+            var keyframe = {offset: frames[i].offset};
+
+            if (frames[i].timing) keyframe.easing = frames[i].timing;
+
+            for (var styleName in frames[i].styles)
+            {
+                if (frames[i].styles.hasOwnProperty(styleName)) keyframe[styleName] = frames[i].styles[styleName];
+            }
+
+            keyframes.push(keyframe);
+        }
+
+        this.webAnimation = this.element.animate(keyframes, {
+            duration: this.getIterationDuration() + this.repeatDelay,
+            iterations: this.getCompiledIterations(),
+            direction: this.direction,
+            fill: 'forwards'
+        });
+
+        this.webAnimation.pause();
+    },
+
+    /**
+     * Internal use only. Synchronizes Web Animations API animation with the playback. Running animation
+     * is left to the browser and its time is corrected only when it drifts away (e.g. after seek()).
+     */
+    syncWebAnimation: function () {
+        var web = this.webAnimation;
+
+        if (web.playbackRate != this.playbackRate)
+        {
+            web.playbackRate = this.playbackRate;
+        }
+
+        if (this.playState == 'running')
+        {
+            if (web.playState != 'running' || Math.abs(web.currentTime - this.currentTime) > 100)
+            {
+                web.currentTime = this.currentTime;
+                web.play();
+            }
+        }
+        else
+        {
+            if (web.playState == 'running') web.pause();
+
+            web.currentTime = this.currentTime;
+        }
+    },
+
+    /**
+     * Internal use only. Keeps current styles of Web Animations API animation on the element and cancels it
+     */
+    releaseWebAnimation: function () {
+        var web = this.webAnimation;
+
+        if (!web) return;
+
+        this.webAnimation = null;
+
+        if (web.commitStyles instanceof Function)
+        {
+            try
+            {
+                web.commitStyles();
+            }
+            catch (e)
+            {
+                //element is not rendered, there are no styles to keep
+            }
+        }
+
+        web.cancel();
+    },
+
+    /**
+     * Internal use only. Calculates new value basing on given timing function, progress, initial value and delta.
+     * Timing is a name of registered easing, cubic-bezier(x1, y1, x2, y2), steps(n[, position]) or a function.
+     */
+    timingFunction: function (timing, progress, initial, delta) {
+        if (!delta) return initial;
+
+        return initial + delta * this.getEasing(timing || this.timing)(progress);
+    },
+
+    /**
+     * Internal use only. Returns easing function for given timing.
+     */
+    getEasing: function (timing) {
+        if (timing instanceof Function) return timing;
+
+        var easing = Animator.easings[timing] || Animator.parsedEasings[timing];
+
+        if (easing) return easing;
+
+        var m = String(timing).match(/^\s*(cubic-bezier|steps)\s*\(([^)]*)\)\s*$/);
+        var args = m ? m[2].split(',') : [];
+
+        for (var i = 0; i < args.length; i++)
+        {
+            args[i] = args[i].replace(/^\s+|\s+$/g, '');
+        }
+
+        if (m && m[1] == 'cubic-bezier' && args.length == 4)
+        {
+            easing = Animator.cubicBezier(parseFloat(args[0]), parseFloat(args[1]), parseFloat(args[2]), parseFloat(args[3]));
+        }
+        else if (m && m[1] == 'steps' && (args.length == 1 || args.length == 2))
+        {
+            easing = Animator.steps(parseInt(args[0], 10), args[1]);
+        }
+        else
+        {
+            throw new ConfigurationError('Unknown timing function ' + timing, 'UNKNOWN_TIMING', {timing: timing});
+        }
+
+        return Animator.parsedEasings[timing] = easing;
+    },
+
+    /**
+     * Internal use only. Converts css color to [r, g, b, a] array. Accepts hex notation (#rgb, #rgba,
+     * #rrggbb, #rrggbbaa), rgb()/rgba() and hsl()/hsla() in both comma and space separated syntax
+     * with numbers or percentages, named colors and transparent. Throws if color could not be parsed.
+     */
+    getRGB: function (style) {
+        var color = String(style).replace(/^\s+|\s+$/g, '').toLowerCase();
+        var m;
+
+        if (color == 'transparent') return [0, 0, 0, 0];
+
+        if (this.NAMED_COLORS.hasOwnProperty(color))
+        {
+            color = '#' + this.NAMED_COLORS[color];
+        }
+
+        if (m = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/))
+        {
+            var hex = m[1].length <= 4 ? m[1].replace(/(.)/g, '$1$1') : m[1];
+
+            return [
+                parseInt(hex.substr(0, 2), 16),
+                parseInt(hex.substr(2, 2), 16),
+                parseInt(hex.substr(4, 2), 16),
+                hex.length == 8 ? parseInt(hex.substr(6, 2), 16) / 255 : 1
+            ];
+        }
+
+        if (m = color.match(/^(rgba?|hsla?)\(\s*([^)]*?)\s*\)$/))
+        {
+            var args = m[2].split(/\s*,\s*|\s*\/\s*|\s+/);
+            var ret = [];
+
+            if (args.length == 3 || args.length == 4)
+            {
+                for (var i = 0; i < args.length; i++)
+                {
+                    var value = parseFloat(args[i]);
+                    var unit = args[i].replace(/^[-+0-9.e]+/, '');
+
+                    if (i == 3)
+                    {
+                        //alpha
+                        value = unit == '%' ? value / 100 : value;
+                    }
+                    else if (m[1].charAt(0) == 'r')
+                    {
+                        value = unit == '%' ? value * 2.55 : value;
+                    }
+                    else if (i == 0)
+                    {
+                        //hue
+                        value = this.ABSOLUTE_UNITS.hasOwnProperty(unit) && unit != 'px' ? value * this.ABSOLUTE_UNITS[unit] : (unit ? NaN : value);
+                    }
+
+                    if (isNaN(value) || (unit && unit != '%' && i > 0)) throw new ConfigurationError('Invalid color ' + style, 'INVALID_COLOR', {value: style});
+
+                    ret.push(value);
+                }
+
+                ret[3] = args.length == 4 ? Math.max(0, Math.min(1, ret[3])) : 1;
+
+                return m[1].charAt(0) == 'r' ? ret : Animator.colorSpaces.hsl.toRGB(ret);
+            }
+        }
+
+        throw new ConfigurationError('Invalid color ' + style, 'INVALID_COLOR', {value: style});
+    },
+
+    /**
+     * Internal use only. Interpolates between colors ([r, g, b, a] arrays) in given color space
+     */
+    interpolateColor: function (from, to, progress, colorSpace) {
+        var space = Animator.colorSpaces[colorSpace];
+        var i;
+
+        if (!space) throw new ConfigurationError('Unknown color space ' + colorSpace, 'UNKNOWN_COLOR_SPACE', {colorSpace: colorSpace});
+
+        var alpha = from[3] + (to[3] - from[3]) * progress;
+
+        if (colorSpace == 'rgb')
+        {
+            //premultiplied alpha, so fading from transparent does not go through black
+            var ret = [];
+
+            for (i = 0; i < 3; i++)
+            {
+                var channel = from[i] * from[3] + (to[i] * to[3] - from[i] * from[3]) * progress;
+
+                ret.push(alpha ? channel / alpha : to[i]);
+            }
+
+            ret.push(alpha);
+
+            return ret;
+        }
+
+        //fully transparent color has no hue or lightness, take them from the other one
+        var a = space.fromRGB(from[3] || !to[3] ? from : to);
+        var b = space.fromRGB(to[3] || !from[3] ? to : from);
+        var mixed = [];
+
+        if (typeof space.hue !== 'undefined')
+        {
+            //achromatic colors take the hue of the other one
+            if (a[space.chroma] < 1e-4) a[space.hue] = b[space.hue];
+            if (b[space.chroma] < 1e-4) b[space.hue] = a[space.hue];
+
+            //hue goes the shorter way around
+            var delta = b[space.hue] - a[space.hue];
+
+            if (delta > 180)
+            {
+                b[space.hue] -= 360;
+            }
+            else if (delta < -180)
+            {
+                b[space.hue] += 360;
+            }
+        }
+
+        for (i = 0; i < 3; i++)
+        {
+            mixed.push(a[i] + (b[i] - a[i]) * progress);
+        }
+
+        if (typeof space.hue !== 'undefined')
+        {
+            mixed[space.hue] = (mixed[space.hue] % 360 + 360) % 360;
+        }
+
+        mixed = space.toRGB(mixed);
+        mixed[3] = alpha;
+
+        return mixed;
+    },
+
+    /**
+     * Internal use only. Returns css property value of given property.
+     */
+    getStyle: function (style) {
+        var multiProperties = this.MULTI_PROPERTIES;
+        var el = this.element;
+        var camel = this.camelcaseString(style);
+        var ret = {};
+
+        if (multiProperties[camel])
+        {
+            var l = multiProperties[camel].length;
+
+            for (var i = 0; i < l; i++)
+            {
+                var name = multiProperties[camel][i];
+
+                ret[name] = this.getStyle(name)[name];
+            }
+
+            return ret;
+        }
+
+        var hyphen = this.hyphenateString(style);
+
+        //styles which are about to be written in this frame
+        if (el.animatorStyles && el.animatorStyles.hasOwnProperty(camel))
+        {
+            ret[camel] = el.animatorStyles[camel];
+        }
+        else if (el.style[camel])
+        {
+            ret[camel] = el.style[camel];
+        }
+        else if (el.currentStyle || window.getComputedStyle)
+        {
+            ret[camel] = this.getComputedStyle(el, hyphen);
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Returns computed value of given (hyphenated) css property of any element.
+     */
+    getComputedStyle: function (el, hyphen) {
+        if (el.currentStyle)
+        {
+            return el.currentStyle[hyphen];
+        }
+        else if (window.getComputedStyle)
+        {
+            return document.defaultView.getComputedStyle(el, null).getPropertyValue(hyphen);
+        }
+    },
+
+    /**
+     * Internal use only. Calculates inner element width.
+     */
+    getInnerWidth: function () {
+        return this.element.offsetWidth -
+                parseInt(this.getStyle('padding-left')['paddingLeft'], 10) -
+                parseInt(this.getStyle('padding-right')['paddingRight'], 10) -
+                parseInt(this.getStyle('border-left-width')['borderLeftWidth'], 10) -
+                parseInt(this.getStyle('border-right-width')['borderRightWidth'], 10);
+    },
+
+    /**
+     * Internal use only. Calculates inner element height.
+     */
+    getInnerHeight: function () {
+        return this.element.offsetHeight -
+                parseInt(this.getStyle('padding-top')['paddingTop'], 10) -
+                parseInt(this.getStyle('padding-bottom')['paddingBottom'], 10) -
+                parseInt(this.getStyle('border-top-width')['borderTopWidth'], 10) -
+                parseInt(this.getStyle('border-bottom-width')['borderBottomWidth'], 10);
+    },
+
+    /**
+     * Internal use only. Converts hyphenated string to camel-cased string.
+     */
+    camelcaseString: function (str) {
+        return str.replace(/(-[a-z])/g, function (m) {
+            return m.substr(1, 1).toUpperCase();
+        });
+    },
+
+    /**
+     * Internal use only. Converts camel-cased string to hyphenated string.
+     */
+    hyphenateString: function (str) {
+        return str.replace(/([a-z][A-Z])/g, function (m) {
+            return m.substr(0, 1) + '-' + m.substr(1, 1).toLowerCase();
+        });
+    },
+
+    /**
+     * Exports configuration of the animation to the JSON format (see Animator.fromJSON), options with
+     * default values are left out. Element is exported only when it is given as css selector. Throws
+     * if the animation contains values which could not be represented in JSON, e.g. functions.
+     */
+    toJSON: function () {
+        var ret = {version: Animator.JSON_VERSION, type: 'animation'};
+
+        if (typeof this.element === 'string') ret.element = this.element;
+
+        for (var i = 0; i < Animator.JSON_OPTIONS.length; i++)
+        {
+            var name = Animator.JSON_OPTIONS[i];
+
+            if (name == 'element' || JSON.stringify(this[name]) === JSON.stringify(Animator.prototype[name])) continue;
+
+            ret[name] = name == 'loops' && this[name] == Infinity ? 'infinite' : this[name];
+        }
+
+        ret.keyframes = this.keyframes;
+
+        var problems = Animator.validate(ret);
+
+        if (problems.length) throw new ConfigurationError('Animation could not be exported to JSON:\n' + problems.join('\n'), 'INVALID_DEFINITION', {problems: problems});
+
+        return ret;
+    },
+
+    /**
+     * Event is fired when keyframe begins being animated on given element
+     */
+    onKeyframeBegin: function (frameIndex, frame, element) {},
+
+    /**
+     * Event is fired when keyframe has finished being animated on given element
+     */
+    onKeyframeEnd: function (frameIndex, frame, element) {},
+
+    /**
+     * Event is fired when next loop begins on given element
+     */
+    onLoop: function (iteration, element) {}
+});
+
+/**
+ * Registry of named easings. Easing is a function which receives progress of keyframe (0..1)
+ * and returns eased progress - 0 at the beginning and 1 at the end, values in between may
+ * overshoot (e.g. back or elastic easings).
+ */
+Animator.easings = {};
+
+/**
+ * Internal use only. Cache of easings parsed from cubic-bezier() and steps() notation.
+ */
+Animator.parsedEasings = {};
+
+/**
+ * Registers easing under given name, so it can be used as timing of animation and keyframes.
+ * Easing of the same name is overridden.
+ */
+Animator.registerEasing = function (name, easing) {
+    if (!(easing instanceof Function)) throw new ConfigurationError('Easing ' + name + ' has to be a function', 'INVALID_EASING', {name: name});
+
+    Animator.easings[name] = easing;
+};
+
+/**
+ * Creates easing defined by cubic bezier curve with control points (x1, y1) and (x2, y2), the same
+ * way as css cubic-bezier() does.
+ */
+Animator.cubicBezier = function (x1, y1, x2, y2) {
+    if (isNaN(x1) || isNaN(y1) || isNaN(x2) || isNaN(y2) || x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1)
+    {
+        var timing = 'cubic-bezier(' + [x1, y1, x2, y2].join(', ') + ')';
+
+        throw new ConfigurationError('Invalid ' + timing, 'INVALID_TIMING', {timing: timing});
+    }
+
+    //polynomial coefficients, the curve is B(t) = ((a * t + b) * t + c) * t
+    var cx = 3 * x1, bx = 3 * (x2 - x1) - cx, ax = 1 - cx - bx;
+    var cy = 3 * y1, by = 3 * (y2 - y1) - cy, ay = 1 - cy - by;
+
+    function curveX (t)
+    {
+        return ((ax * t + bx) * t + cx) * t;
+    }
+
+    function curveY (t)
+    {
+        return ((ay * t + by) * t + cy) * t;
+    }
+
+    function solveX (x)
+    {
+        var t = x;
+
+        //Newton's method is fast, but does not have to converge
+        for (var i = 0; i < 8; i++)
+        {
+            var error = curveX(t) - x;
+            if (Math.abs(error) < 1e-6) return t;
+
+            var slope = (3 * ax * t + 2 * bx) * t + cx;
+            if (Math.abs(slope) < 1e-6) break;
+
+            t -= error / slope;
+        }
+
+        //fall back to bisection
+        var low = 0, high = 1;
+        t = x;
+
+        while (low < high)
+        {
+            var value = curveX(t);
+            if (Math.abs(value - x) < 1e-6) break;
+
+            if (x > value)
+            {
+                low = t;
+            }
+            else
+            {
+                high = t;
+            }
+
+            t = (high - low) / 2 + low;
+
+            if (high - low < 1e-9) break;
+        }
+
+        return t;
+    }
+
+    return function (progress) {
+        if (progress <= 0 || progress >= 1) return progress <= 0 ? 0 : 1;
+
+        return curveY(solveX(progress));
+    };
+};
+
+/**
+ * Creates stepping easing the same way as css steps() does. Position is one of jump-start, jump-end
+ * (default), jump-none, jump-both, start or end.
+ */
+Animator.steps = function (count, position) {
+    position = position || 'jump-end';
+
+    var start = position == 'jump-start' || position == 'start' || position == 'jump-both';
+    var jumps = {'jump-start': count, 'start': count, 'jump-end': count, 'end': count, 'jump-none': count - 1, 'jump-both': count + 1}[position];
+
+    if (!(count > 0) || !jumps)
+    {
+        var timing = 'steps(' + count + ', ' + position + ')';
+
+        throw new ConfigurationError('Invalid ' + timing, 'INVALID_TIMING', {timing: timing});
+    }
+
+    return function (progress) {
+        var step = Math.floor(progress * count);
+
+        if (start) step++;
+        if (progress >= 0 && step < 0) step = 0;
+
+        return Math.min(step, jumps) / jumps;
+    };
+};
+
+/**
+ * Creates easing which follows damped spring moving from 0 to 1. Physics is an object with
+ * stiffness (default 100), damping (default 10), mass (default 1), velocity - the initial
+ * velocity in distances per second (default 0) and rest - the distance from the target (and
+ * the velocity relative to spring frequency) under which the spring is settled (default 0.001).
+ * Returned easing has duration property - the time in ms in which the spring settles - and
+ * velocity(progress) method which returns velocity in distances per ms.
+ */
+Animator.spring = function (physics) {
+    var stiffness = physics.hasOwnProperty('stiffness') ? physics.stiffness : 100;
+    var damping = physics.hasOwnProperty('damping') ? physics.damping : 10;
+    var mass = physics.hasOwnProperty('mass') ? physics.mass : 1;
+    var velocity = physics.velocity || 0;
+    var rest = physics.rest || 0.001;
+
+    if (!(stiffness > 0) || !(damping > 0) || !(mass > 0) || isNaN(velocity))
+    {
+        throw new ConfigurationError('Invalid spring physics (stiffness: ' + stiffness + ', damping: ' + damping + ', mass: ' + mass + ', velocity: ' + velocity + ')', 'INVALID_PHYSICS', {physics: physics});
+    }
+
+    //displacement x(t) from the target, x(0) = 1 and x'(0) = -velocity, t in seconds
+    var omega = Math.sqrt(stiffness / mass);
+    var zeta = damping / (2 * Math.sqrt(stiffness * mass));
+    var displacement;
+
+    if (zeta < 1)
+    {
+        var omegaD = omega * Math.sqrt(1 - zeta * zeta);
+        var b = (zeta * omega - velocity) / omegaD;
+
+        displacement = function (t) {
+            var decay = Math.exp(-zeta * omega * t);
+
+            return [
+                decay * (Math.cos(omegaD * t) + b * Math.sin(omegaD * t)),
+                decay * ((b * omegaD - zeta * omega) * Math.cos(omegaD * t) - (omegaD + b * zeta * omega) * Math.sin(omegaD * t))
+            ];
+        };
+    }
+    else if (zeta == 1)
+    {
+        displacement = function (t) {
+            var decay = Math.exp(-omega * t);
+            var c = omega - velocity;
+
+            return [decay * (1 + c * t), decay * (c - omega * (1 + c * t))];
+        };
+    }
+    else
+    {
+        var root = omega * Math.sqrt(zeta * zeta - 1);
+        var r1 = -zeta * omega + root, r2 = -zeta * omega - root;
+        var a = (-velocity - r2) / (r1 - r2);
+
+        displacement = function (t) {
+            var e1 = a * Math.exp(r1 * t), e2 = (1 - a) * Math.exp(r2 * t);
+
+            return [e1 + e2, r1 * e1 + r2 * e2];
+        };
+    }
+
+    //energy of damped spring never grows, so once both displacement and velocity are small it stays settled
+    var step = 1 / 120;
+    var duration = 0;
+
+    for (var t = 0; t < 60; t += step)
+    {
+        var state = displacement(t);
+
+        duration = t;
+
+        if (state[0] * state[0] + state[1] * state[1] / (omega * omega) < rest * rest) break;
+    }
+
+    var easing = function (progress) {
+        if (progress >= 1) return 1;
+
+        return 1 - displacement(progress * duration)[0];
+    };
+
+    easing.duration = duration * 1000;
+
+    easing.velocity = function (progress) {
+        if (progress >= 1 || progress < 0) return 0;
+
+        return -displacement(progress * duration)[1] / 1000;
+    };
+
+    return easing;
+};
+
+/**
+ * Parses svg path data (d attribute) into list of subpaths with all segments converted to absolute
+ * cubic bezier curves. Subpath is {points, closed} where points is flat list of coordinates:
+ * x0, y0 of the start, then c1x, c1y, c2x, c2y, x, y of each segment.
+ */
+Animator.parsePath = function (d) {
+    var NUMBER = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g;
+    var subpaths = [];
+    var subpath = null;
+    var pos = 0;
+    var x = 0, y = 0, startX = 0, startY = 0, controlX = 0, controlY = 0;
+    var command = null, previous = null;
+
+    d = String(d);
+
+    function skip ()
+    {
+        while (pos < d.length && /[\s,]/.test(d.charAt(pos))) pos++;
+    }
+
+    function number (flag)
+    {
+        skip();
+
+        if (flag)
+        {
+            var c = d.charAt(pos++);
+
+            if (c != '0' && c != '1') throw new ConfigurationError('Invalid path ' + d, 'INVALID_PATH', {path: d});
+
+            return c == '1';
+        }
+
+        NUMBER.lastIndex = pos;
+
+        var m = NUMBER.exec(d);
+
+        if (!m || m.index != pos) throw new ConfigurationError('Invalid path ' + d, 'INVALID_PATH', {path: d});
+
+        pos += m[0].length;
+
+        return parseFloat(m[0]);
+    }
+
+    function curve (c1x, c1y, c2x, c2y, toX, toY)
+    {
+        if (!subpath)
+        {
+            subpath = {points: [x, y], closed: false};
+            subpaths.push(subpath);
+        }
+
+        subpath.points.push(c1x, c1y, c2x, c2y, toX, toY);
+        controlX = c2x;
+        controlY = c2y;
+        x = toX;
+        y = toY;
+    }
+
+    function line (toX, toY)
+    {
+        curve(x + (toX - x) / 3, y + (toY - y) / 3, x + (toX - x) * 2 / 3, y + (toY - y) * 2 / 3, toX, toY);
+    }
+
+    function quadratic (qx, qy, toX, toY)
+    {
+        curve(x + (qx - x) * 2 / 3, y + (qy - y) * 2 / 3, toX + (qx - toX) * 2 / 3, toY + (qy - toY) * 2 / 3, toX, toY);
+        controlX = qx;
+        controlY = qy;
+    }
+
+    while (skip(), pos < d.length)
+    {
+        var c = d.charAt(pos);
+
+        if (/[a-z]/i.test(c))
+        {
+            command = c;
+            pos++;
+        }
+        else if (!command)
+        {
+            throw new ConfigurationError('Invalid path ' + d, 'INVALID_PATH', {path: d});
+        }
+
+        var relative = command != command.toUpperCase();
+        var ox = relative ? x : 0, oy = relative ? y : 0;
+        var type = command.toUpperCase();
+        var reflect = false;
+
+        switch (type)
+        {
+            case 'M':
+                x = startX = ox + number();
+                y = startY = oy + number();
+                subpath = null;
+                //following coordinates are implicit lineto commands
+                command = relative ? 'l' : 'L';
+                break;
+            case 'L':
+                line(ox + number(), oy + number());
+                break;
+            case 'H':
+                line(ox + number(), y);
+                break;
+            case 'V':
+                line(x, oy + number());
+                break;
+            case 'C':
+                curve(ox + number(), oy + number(), ox + number(), oy + number(), ox + number(), oy + number());
+                break;
+            case 'S':
+                reflect = previous == 'C' || previous == 'S';
+                curve(reflect ? 2 * x - controlX : x, reflect ? 2 * y - controlY : y, ox + number(), oy + number(), ox + number(), oy + number());
+                break;
+            case 'Q':
+                quadratic(ox + number(), oy + number(), ox + number(), oy + number());
+                break;
+            case 'T':
+                reflect = previous == 'Q' || previous == 'T';
+                quadratic(reflect ? 2 * x - controlX : x, reflect ? 2 * y - controlY : y, ox + number(), oy + number());
+                break;
+            case 'A':
+                var rx = number(), ry = number(), angle = number(), large = number(true), sweep = number(true);
+                var segments = Animator.arcToCubic(x, y, rx, ry, angle, large, sweep, ox + number(), oy + number());
+
+                for (var i = 0; i < segments.length; i += 6)
+                {
+                    curve(segments[i], segments[i + 1], segments[i + 2], segments[i + 3], segments[i + 4], segments[i + 5]);
+                }
+                break;
+            case 'Z':
+                if (subpath && (x != startX || y != startY)) line(startX, startY);
+                if (subpath) subpath.closed = true;
+
+                x = startX;
+                y = startY;
+                subpath = null;
+                command = null;
+                break;
+            default:
+                throw new ConfigurationError('Invalid path ' + d, 'INVALID_PATH', {path: d});
+        }
+
+        previous = type;
+    }
+
+    return subpaths;
+};
+
+/**
+ * Internal use only. Converts svg elliptical arc from (x1, y1) to (x2, y2) into cubic bezier curves,
+ * returns flat list of c1x, c1y, c2x, c2y, x, y of each of them.
+ */
+Animator.arcToCubic = function (x1, y1, rx, ry, angle, large, sweep, x2, y2) {
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+
+    if (!rx || !ry)
+    {
+        return [x1 + (x2 - x1) / 3, y1 + (y2 - y1) / 3, x1 + (x2 - x1) * 2 / 3, y1 + (y2 - y1) * 2 / 3, x2, y2];
+    }
+
+    if (x1 == x2 && y1 == y2) return [];
+
+    //endpoint to center parameterization, see svg specification, appendix F.6.5
+    var phi = angle * Math.PI / 180;
+    var cos = Math.cos(phi), sin = Math.sin(phi);
+    var dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+    var x1p = cos * dx + sin * dy, y1p = -sin * dx + cos * dy;
+    var lambda = x1p * x1p / (rx * rx) + y1p * y1p / (ry * ry);
+
+    if (lambda > 1)
+    {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    var numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    var denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    var coef = (large == sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    var cxp = coef * rx * y1p / ry, cyp = -coef * ry * x1p / rx;
+    var cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    var cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    function vectorAngle (ux, uy, vx, vy)
+    {
+        return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    }
+
+    var theta = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    var delta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    //each curve approximates at most quarter of the ellipse
+    var count = Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9);
+    var step = delta / count;
+    var k = 4 / 3 * Math.tan(step / 4);
+    var ret = [];
+
+    function point (t)
+    {
+        return [cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos];
+    }
+
+    function tangent (t)
+    {
+        return [-rx * Math.sin(t) * cos - ry * Math.cos(t) * sin, -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos];
+    }
+
+    for (var i = 0; i < count; i++)
+    {
+        var t1 = theta + i * step, t2 = t1 + step;
+        var p1 = point(t1), p2 = i == count - 1 ? [x2, y2] : point(t2);
+        var d1 = tangent(t1), d2 = tangent(t2);
+
+        ret.push(p1[0] + k * d1[0], p1[1] + k * d1[1], p2[0] - k * d2[0], p2[1] - k * d2[1], p2[0], p2[1]);
+    }
+
+    return ret;
+};
+
+/**
+ * Internal use only. Converts two parsed paths (see Animator.parsePath) to paths of the same number
+ * of subpaths and curves, so they can be morphed point by point. Missing subpaths are added collapsed
+ * into the start of their counterparts, the longest curves of subpaths with less curves are split.
+ */
+Animator.matchPaths = function (from, to) {
+    var a = from.subpaths.slice(0), b = to.subpaths.slice(0);
+    var i;
+
+    function collapse (subpath)
+    {
+        var points = [];
+
+        for (var j = 0; j < subpath.points.length; j += 2)
+        {
+            points.push(subpath.points[0], subpath.points[1]);
+        }
+
+        return {points: points, closed: subpath.closed};
+    }
+
+    function split (subpath, count)
+    {
+        var p = subpath.points.slice(0);
+
+        while ((p.length - 2) / 6 < count)
+        {
+            var longest = 0, max = -1;
+
+            for (var j = 0; j + 2 < p.length; j += 6)
+            {
+                var length = Math.abs(p[j + 6] - p[j]) + Math.abs(p[j + 7] - p[j + 1]);
+
+                if (length > max)
+                {
+                    max = length;
+                    longest = j;
+                }
+            }
+
+            //de Casteljau subdivision in the middle of the curve
+            var c = p.slice(longest, longest + 8);
+            var m01 = [(c[0] + c[2]) / 2, (c[1] + c[3]) / 2], m12 = [(c[2] + c[4]) / 2, (c[3] + c[5]) / 2];
+            var m23 = [(c[4] + c[6]) / 2, (c[5] + c[7]) / 2];
+            var m012 = [(m01[0] + m12[0]) / 2, (m01[1] + m12[1]) / 2], m123 = [(m12[0] + m23[0]) / 2, (m12[1] + m23[1]) / 2];
+            var middle = [(m012[0] + m123[0]) / 2, (m012[1] + m123[1]) / 2];
+
+            p.splice(longest + 2, 6, m01[0], m01[1], m012[0], m012[1], middle[0], middle[1], m123[0], m123[1], m23[0], m23[1], c[6], c[7]);
+        }
+
+        return {points: p, closed: subpath.closed};
+    }
+
+    for (i = a.length; i < b.length; i++) a.push(collapse(b[i]));
+    for (i = b.length; i < a.length; i++) b.push(collapse(a[i]));
+
+    for (i = 0; i < a.length; i++)
+    {
+        var count = (Math.max(a[i].points.length, b[i].points.length) - 2) / 6;
+
+        a[i] = split(a[i], count);
+        b[i] = split(b[i], count);
+    }
+
+    return [{subpaths: a}, {subpaths: b}];
+};
+
+/**
+ * Creates function which returns point on given path at given fraction of its length: {x, y, angle}
+ * where angle is the direction of the path in degrees. Path is svg path data, svg path element
+ * or list of bezier control points - [x, y] pairs or {x, y} objects of start point followed by
+ * two control points and end point of each cubic curve. Positions are distributed by arc length,
+ * so the point moves along the path at constant speed. Returned function has pathLength property -
+ * the length of the path.
+ */
+Animator.motionPath = function (path) {
+    var subpaths;
+
+    if (path && path.nodeType)
+    {
+        path = path.getAttribute('d');
+    }
+
+    if (path instanceof Array)
+    {
+        var points = [];
+
+        for (var i = 0; i < path.length; i++)
+        {
+            points.push(path[i] instanceof Array ? path[i][0] : path[i].x, path[i] instanceof Array ? path[i][1] : path[i].y);
+        }
+
+        if (points.length < 8 || (points.length - 2) % 6) throw new ConfigurationError('Bezier path has to consist of start point and 3 points of each curve', 'INVALID_PATH', {path: points});
+
+        subpaths = [{points: points, closed: false}];
+    }
+    else
+    {
+        subpaths = Animator.parsePath(path);
+    }
+
+    if (!subpaths.length) throw new ConfigurationError('Invalid path ' + path, 'INVALID_PATH', {path: path});
+
+    function bezier (p, t, offset)
+    {
+        var u = 1 - t;
+
+        return u * u * u * p[offset] + 3 * u * u * t * p[offset + 2] + 3 * u * t * t * p[offset + 4] + t * t * t * p[offset + 6];
+    }
+
+    function derivative (p, t, offset)
+    {
+        var u = 1 - t;
+
+        return 3 * u * u * (p[offset + 2] - p[offset]) + 6 * u * t * (p[offset + 4] - p[offset + 2]) + 3 * t * t * (p[offset + 6] - p[offset + 4]);
+    }
+
+    //lookup table of arc length at sampled parameters of all curves
+    var samples = 16;
+    var table = [];
+    var length = 0;
+
+    for (i = 0; i < subpaths.length; i++)
+    {
+        var p = subpaths[i].points;
+
+        for (var offset = 0; offset + 2 < p.length; offset += 6)
+        {
+            var lastX = p[offset], lastY = p[offset + 1];
+
+            table.push({points: p, offset: offset, t: 0, length: length});
+
+            for (var j = 1; j <= samples; j++)
+            {
+                var sx = bezier(p, j / samples, offset), sy = bezier(p, j / samples, offset + 1);
+
+                length += Math.sqrt((sx - lastX) * (sx - lastX) + (sy - lastY) * (sy - lastY));
+                table.push({points: p, offset: offset, t: j / samples, length: length});
+                lastX = sx;
+                lastY = sy;
+            }
+        }
+    }
+
+    var ret = function (fraction) {
+        var target = Math.max(0, Math.min(1, fraction)) * length;
+        var low = 0, high = table.length - 1;
+
+        while (low < high)
+        {
+            var middle = Math.ceil((low + high) / 2);
+
+            if (table[middle].length <= target) low = middle; else high = middle - 1;
+        }
+
+        var entry = table[low], next = table[Math.min(low + 1, table.length - 1)];
+        var t = entry.t;
+
+        if (next.offset === entry.offset && next.points === entry.points && next.length > entry.length)
+        {
+            t += (next.t - entry.t) * (target - entry.length) / (next.length - entry.length);
+        }
+
+        var dx = derivative(entry.points, t, entry.offset), dy = derivative(entry.points, t, entry.offset + 1);
+
+        //direction of curve with coincident control points is taken from its close neighbourhood
+        if (!dx && !dy)
+        {
+            var near = t < 0.5 ? t + 0.001 : t - 0.001;
+
+            dx = (bezier(entry.points, near, entry.offset) - bezier(entry.points, t, entry.offset)) * (near > t ? 1 : -1);
+            dy = (bezier(entry.points, near, entry.offset + 1) - bezier(entry.points, t, entry.offset + 1)) * (near > t ? 1 : -1);
+        }
+
+        return {
+            x: bezier(entry.points, t, entry.offset),
+            y: bezier(entry.points, t, entry.offset + 1),
+            angle: Math.atan2(dy, dx) * 180 / Math.PI
+        };
+    };
+
+    ret.pathLength = length;
+
+    return ret;
+};
+
+(function () {
+    var css = {
+        'linear': function (progress) {
+            return progress;
+        },
+        'ease': Animator.cubicBezier(0.25, 0.1, 0.25, 1),
+        'ease-in': Animator.cubicBezier(0.42, 0, 1, 1),
+        'ease-out': Animator.cubicBezier(0, 0, 0.58, 1),
+        'ease-in-out': Animator.cubicBezier(0.42, 0, 0.58, 1),
+        'step-start': Animator.steps(1, 'jump-start'),
+        'step-end': Animator.steps(1, 'jump-end')
+    };
+
+    function bounceOut (progress)
+    {
+        var n = 7.5625, d = 2.75;
+
+        if (progress < 1 / d) return n * progress * progress;
+        if (progress < 2 / d) return n * (progress -= 1.5 / d) * progress + 0.75;
+        if (progress < 2.5 / d) return n * (progress -= 2.25 / d) * progress + 0.9375;
+
+        return n * (progress -= 2.625 / d) * progress + 0.984375;
+    }
+
+    //Penner's easings, defined by their "in" variant
+    var penner = {
+        quad: function (progress) {
+            return progress * progress;
+        },
+        cubic: function (progress) {
+            return progress * progress * progress;
+        },
+        quart: function (progress) {
+            return Math.pow(progress, 4);
+        },
+        quint: function (progress) {
+            return Math.pow(progress, 5);
+        },
+        sine: function (progress) {
+            return 1 - Math.cos(progress * Math.PI / 2);
+        },
+        expo: function (progress) {
+            return progress == 0 ? 0 : Math.pow(2, 10 * progress - 10);
+        },
+        circ: function (progress) {
+            return 1 - Math.sqrt(1 - progress * progress);
+        },
+        back: function (progress) {
+            var s = 1.70158;
+
+            return progress * progress * ((s + 1) * progress - s);
+        },
+        elastic: function (progress) {
+            if (progress == 0 || progress == 1) return progress;
+
+            return -Math.pow(2, 10 * progress - 10) * Math.sin((progress * 10 - 10.75) * 2 * Math.PI / 3);
+        },
+        bounce: function (progress) {
+            return 1 - bounceOut(1 - progress);
+        }
+    };
+
+    for (var name in css)
+    {
+        if (css.hasOwnProperty(name)) Animator.registerEasing(name, css[name]);
+    }
+
+    for (name in penner)
+    {
+        if (!penner.hasOwnProperty(name)) continue;
+
+        (function (easeIn, name) {
+            Animator.registerEasing('ease-in-' + name, easeIn);
+
+            Animator.registerEasing('ease-out-' + name, function (progress) {
+                return 1 - easeIn(1 - progress);
+            });
+
+            Animator.registerEasing('ease-in-out-' + name, function (progress) {
+                return progress < 0.5 ? easeIn(progress * 2) / 2 : 1 - easeIn(2 - progress * 2) / 2;
+            });
+        })(penner[name], name);
+    }
+})();
+
+/**
+ * Color spaces in which colors can be interpolated. Each of them converts [r, g, b] to its
+ * channels by fromRGB() and back by toRGB(). Spaces with hue define indexes of hue and chroma
+ * (or saturation) channels, hue is interpolated the shorter way around.
+ */
+Animator.colorSpaces = (function () {
+    function cbrt (x)
+    {
+        return x < 0 ? -Math.pow(-x, 1 / 3) : Math.pow(x, 1 / 3);
+    }
+
+    function toLinear (rgb)
+    {
+        var ret = [];
+
+        for (var i = 0; i < 3; i++)
+        {
+            var c = rgb[i] / 255;
+
+            ret.push(c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4));
+        }
+
+        return ret;
+    }
+
+    function fromLinear (linear)
+    {
+        var ret = [];
+
+        for (var i = 0; i < 3; i++)
+        {
+            var c = linear[i];
+
+            c = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(Math.max(0, c), 1 / 2.4) - 0.055;
+
+            ret.push(Math.max(0, Math.min(255, c * 255)));
+        }
+
+        return ret;
+    }
+
+    function hueToRGB (p, q, t)
+    {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+
+        return p;
+    }
+
+    //CIE Lab, D65 white point
+    var white = [0.95047, 1, 1.08883];
+    var epsilon = 216 / 24389;
+    var kappa = 24389 / 27;
+
+    return {
+        rgb: {
+            fromRGB: function (rgb) {
+                return [rgb[0], rgb[1], rgb[2]];
+            },
+            toRGB: function (rgb) {
+                return [rgb[0], rgb[1], rgb[2]];
+            }
+        },
+
+        hsl: {
+            hue: 0,
+            chroma: 1,
+            fromRGB: function (rgb) {
+                var r = rgb[0] / 255, g = rgb[1] / 255, b = rgb[2] / 255;
+                var max = Math.max(r, g, b), min = Math.min(r, g, b);
+                var l = (max + min) / 2;
+                var h = 0, s = 0, d = max - min;
+
+                if (d)
+                {
+                    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+                    if (max == r)
+                    {
+                        h = (g - b) / d + (g < b ? 6 : 0);
+                    }
+                    else if (max == g)
+                    {
+                        h = (b - r) / d + 2;
+                    }
+                    else
+                    {
+                        h = (r - g) / d + 4;
+                    }
+
+                    h *= 60;
+                }
+
+                return [h, s * 100, l * 100];
+            },
+            toRGB: function (hsl) {
+                var h = ((hsl[0] % 360 + 360) % 360) / 360;
+                var s = Math.max(0, Math.min(100, hsl[1])) / 100;
+                var l = Math.max(0, Math.min(100, hsl[2])) / 100;
+                var ret;
+
+                if (!s)
+                {
+                    ret = [l * 255, l * 255, l * 255];
+                }
+                else
+                {
+                    var q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+                    var p = 2 * l - q;
+
+                    ret = [hueToRGB(p, q, h + 1 / 3) * 255, hueToRGB(p, q, h) * 255, hueToRGB(p, q, h - 1 / 3) * 255];
+                }
+
+                if (hsl.length > 3) ret.push(hsl[3]);
+
+                return ret;
+            }
+        },
+
+        lab: {
+            fromRGB: function (rgb) {
+                var c = toLinear(rgb);
+                var xyz = [
+                    (0.4124564 * c[0] + 0.3575761 * c[1] + 0.1804375 * c[2]) / white[0],
+                    (0.2126729 * c[0] + 0.7151522 * c[1] + 0.0721750 * c[2]) / white[1],
+                    (0.0193339 * c[0] + 0.1191920 * c[1] + 0.9503041 * c[2]) / white[2]
+                ];
+
+                for (var i = 0; i < 3; i++)
+                {
+                    xyz[i] = xyz[i] > epsilon ? cbrt(xyz[i]) : (kappa * xyz[i] + 16) / 116;
+                }
+
+                return [116 * xyz[1] - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+            },
+            toRGB: function (lab) {
+                var fy = (lab[0] + 16) / 116;
+                var f = [fy + lab[1] / 500, fy, fy - lab[2] / 200];
+
+                for (var i = 0; i < 3; i++)
+                {
+                    var f3 = f[i] * f[i] * f[i];
+
+                    f[i] = (f3 > epsilon ? f3 : (116 * f[i] - 16) / kappa) * white[i];
+                }
+
+                return fromLinear([
+                    3.2404542 * f[0] - 1.5371385 * f[1] - 0.4985314 * f[2],
+                    -0.9692660 * f[0] + 1.8760108 * f[1] + 0.0415560 * f[2],
+                    0.0556434 * f[0] - 0.2040259 * f[1] + 1.0572252 * f[2]
+                ]);
+            }
+        },
+
+        oklch: {
+            hue: 2,
+            chroma: 1,
+            fromRGB: function (rgb) {
+                var c = toLinear(rgb);
+                var l = cbrt(0.4122214708 * c[0] + 0.5363325363 * c[1] + 0.0514459929 * c[2]);
+                var m = cbrt(0.2119034982 * c[0] + 0.6806995451 * c[1] + 0.1073969566 * c[2]);
+                var s = cbrt(0.0883024619 * c[0] + 0.2817188376 * c[1] + 0.6299787005 * c[2]);
+
+                var a = 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s;
+                var b = 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s;
+                var h = Math.atan2(b, a) * 180 / Math.PI;
+
+                return [0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s, Math.sqrt(a * a + b * b), h < 0 ? h + 360 : h];
+            },
+            toRGB: function (lch) {
+                var a = lch[1] * Math.cos(lch[2] * Math.PI / 180);
+                var b = lch[1] * Math.sin(lch[2] * Math.PI / 180);
+
+                var l = lch[0] + 0.3963377774 * a + 0.2158037573 * b;
+                var m = lch[0] - 0.1055613458 * a - 0.0638541728 * b;
+                var s = lch[0] - 0.0894841775 * a - 1.2914855480 * b;
+
+                l = l * l * l;
+                m = m * m * m;
+                s = s * s * s;
+
+                return fromLinear([
+                    4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+                    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+                    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+                ]);
+            }
+        }
+    };
+})();
+
+/**
+ * Handlers of animated properties by their names, see Animator.registerProperty
+ */
+Animator.properties = {};
+
+/**
+ * Handler of properties which are not registered - numbers with units ('10px', '50%', '1.5em'),
+ * or lists of numbers when animated as attributes of svg element. Methods which are not given
+ * to Animator.registerProperty are taken from it.
+ */
+Animator.defaultProperty = {
+    /**
+     * Returns current value of the property on the element
+     */
+    read: function (name) {
+        var pending = this.element.animatorStyles;
+
+        if (!this.isAttribute(name)) return this.getStyle(name)[name];
+        if (pending && pending.hasOwnProperty(name)) return pending[name];
+
+        var attribute = this.getAttributeName(name);
+        var value = this.element.getAttribute(attribute);
+
+        return value === null ? this.getComputedStyle(this.element, attribute) || '' : value;
+    },
+
+    /**
+     * Parses value to the form that can be interpolated, numbers without unit get the default unit
+     */
+    parse: function (value, name) {
+        //missing lengths are zero
+        if (this.isAttribute(name)) return this.parseList(value === '' ? '0' : value);
+
+        var unit = this.getDefaultUnit(name);
+
+        return this.parseNumber(value, unit) || {value: 0, unit: unit};
+    },
+
+    /**
+     * Returns value between parsed values at given amount (0..1, can overshoot), frame is the keyframe
+     */
+    interpolate: function (from, to, amount, name, frame) {
+        if (from.subpaths || from.numbers) return this.interpolateList(from, to, amount);
+
+        return {value: from.value + (to.value - from.value) * amount, unit: to.unit};
+    },
+
+    /**
+     * Formats interpolated value to the form that can be written
+     */
+    format: function (value, name) {
+        if (value.subpaths) return this.formatPath(value);
+
+        if (value.numbers)
+        {
+            var ret = value.template[0];
+
+            for (var i = 0; i < value.numbers.length; i++)
+            {
+                ret += Math.round(value.numbers[i] * 1000) / 1000 + value.template[i + 1];
+            }
+
+            return ret;
+        }
+
+        return value.value + value.unit;
+    },
+
+    /**
+     * Writes formatted value to the element
+     */
+    write: function (value, name) {
+        if (this.isAttribute(name))
+        {
+            this.element.setAttribute(this.getAttributeName(name), value);
+        }
+        else
+        {
+            this.element.style[name] = value;
+        }
+    }
+};
+
+/**
+ * Registers handler of animated property, so it can be used in keyframes. Handler is an object
+ * with methods read, parse, interpolate, format and write (see Animator.defaultProperty for their
+ * arguments), missing ones are taken from Animator.defaultProperty. They are called in scope of
+ * the animation, so this.element is the animated element. Usage:
+ *
+ * Animator.registerProperty('zIndex', {
+ *     parse: function (value) {
+ *         return {value: parseInt(value, 10) || 0, unit: ''};
+ *     },
+ *     format: function (value) {
+ *         return String(Math.round(value.value));
+ *     }
+ * });
+ *
+ * Registered transform channels (translateX, rotate, ...) are written together as transform, so
+ * their write() is not used. Properties with own write() could not be rendered by 'waapi' renderer.
+ */
+Animator.registerProperty = function (name, handler) {
+    var property = {};
+
+    handler = handler || {};
+
+    for (var method in Animator.defaultProperty)
+    {
+        if (!Animator.defaultProperty.hasOwnProperty(method)) continue;
+
+        if (handler[method] && !(handler[method] instanceof Function))
+        {
+            throw new ConfigurationError('Method ' + method + ' of property ' + name + ' has to be a function', 'INVALID_PROPERTY', {property: name, method: method});
+        }
+
+        property[method] = handler[method] || Animator.defaultProperty[method];
+    }
+
+    Animator.properties[name] = property;
+};
+
+/**
+ * Built-in properties
+ */
+(function () {
+    var color = {
+        parse: function (value, name) {
+            if (String(value).toLowerCase() == 'none' || (value === '' && this.isAttribute(name)))
+            {
+                value = 'transparent';
+            }
+            else if (String(value).toLowerCase() == 'currentcolor')
+            {
+                //currentColor of color property itself is the inherited color
+                var el = name == 'color' ? this.element.parentNode || this.element : this.element;
+
+                value = this.getComputedStyle(el, 'color');
+            }
+
+            return this.getRGB(value);
+        },
+
+        interpolate: function (from, to, amount, name, frame) {
+            return this.interpolateColor(from, to, amount, (frame && frame.colorSpace) || this.colorSpace);
+        },
+
+        format: function (value) {
+            var rgb = [];
+
+            for (var i = 0; i < 3; i++)
+            {
+                rgb.push(Math.round(Math.max(0, Math.min(255, value[i]))));
+            }
+
+            var alpha = Math.round(Math.max(0, Math.min(1, value[3])) * 1000) / 1000;
+
+            return alpha != 1 ? 'rgba(' + rgb.join(', ') + ', ' + alpha + ')' : 'rgb(' + rgb.join(', ') + ')';
+        }
+    };
+
+    //inner size of html elements, attribute of svg ones
+    var size = {
+        read: function (name) {
+            if (this.isAttribute(name)) return Animator.defaultProperty.read.call(this, name);
+
+            return (name == 'width' ? this.getInnerWidth() : this.getInnerHeight()) + 'px';
+        }
+    };
+
+    var transform = {
+        read: function (name) {
+            return this.getTransform()[name];
+        }
+    };
+
+    var path = {
+        parse: function (value, name) {
+            if (!this.isAttribute(name)) return Animator.defaultProperty.parse.call(this, value, name);
+
+            return {subpaths: Animator.parsePath(value)};
+        }
+    };
+
+    //numeric weights, keywords are translated (relative ones by the inherited weight)
+    var weight = {
+        parse: function (value, name) {
+            var keyword = String(value).replace(/^\s+|\s+$/g, '').toLowerCase();
+            var parent = this.element.parentNode;
+            var inherited = parent && parent.nodeType == 1 ? parseFloat(this.getComputedStyle(parent, 'font-weight')) || 400 : 400;
+
+            switch (keyword)
+            {
+            case 'normal':
+                return {value: 400, unit: ''};
+            case 'bold':
+                return {value: 700, unit: ''};
+            case 'bolder':
+                return {value: inherited < 400 ? 400 : (inherited < 600 ? 700 : 900), unit: ''};
+            case 'lighter':
+                return {value: inherited < 600 ? 100 : (inherited < 800 ? 400 : 700), unit: ''};
+            }
+
+            return this.parseNumber(value, '') || {value: 400, unit: ''};
+        },
+
+        format: function (value) {
+            return String(Math.round(Math.max(1, Math.min(1000, value.value))));
+        }
+    };
+
+    //shadows, filters, background positions and clip path shapes
+    var compound = {
+        parse: function (value, name) {
+            return this.parseCompound(value, name);
+        },
+
+        interpolate: function (from, to, amount, name, frame) {
+            return this.interpolateCompound(from, to, amount, (frame && frame.colorSpace) || this.colorSpace);
+        },
+
+        format: function (value) {
+            return this.formatCompound(value);
+        }
+    };
+
+    var names = {
+        color: [
+            'color', 'backgroundColor', 'borderColor', 'borderLeftColor', 'borderRightColor', 'borderTopColor',
+            'borderBottomColor', 'fill', 'stroke', 'stopColor'
+        ],
+        size: ['width', 'height'],
+        transform: ['translateX', 'translateY', 'scale', 'scaleX', 'scaleY', 'rotate', 'skewX', 'skewY'],
+        path: ['d'],
+        weight: ['fontWeight'],
+        compound: ['boxShadow', 'textShadow', 'filter', 'backgroundPosition', 'clipPath'],
+        number: [
+            'left', 'top', 'right', 'bottom', 'inset', 'opacity',
+            'padding', 'paddingLeft', 'paddingRight', 'paddingTop', 'paddingBottom',
+            'margin', 'marginLeft', 'marginRight', 'marginTop', 'marginBottom',
+            'borderWidth', 'borderLeftWidth', 'borderRightWidth', 'borderTopWidth', 'borderBottomWidth',
+            'borderRadius', 'borderTopLeftRadius', 'borderTopRightRadius', 'borderBottomRightRadius', 'borderBottomLeftRadius'
+        ]
+    };
+
+    var handlers = {color: color, size: size, transform: transform, path: path, weight: weight, compound: compound, number: {}};
+
+    for (var type in names)
+    {
+        if (!names.hasOwnProperty(type)) continue;
+
+        for (var i = 0; i < names[type].length; i++)
+        {
+            Animator.registerProperty(names[type][i], handlers[type]);
+        }
+    }
+})();
+
+/**
+ * Creates animations of elements described by data-animator-* attributes within given root element
+ * (document when not given), including the root itself. data-animator-keyframes is JSON array
+ * of keyframes and data-animator-trigger is what starts the animation:
+ *
+ * - load (default) - the page is loaded
+ * - click - each click of the element
+ * - hover - pointer enters the element, the animation is played back when it leaves
+ * - visible - the element enters the viewport (once)
+ *
+ * Other data-animator-* attributes are configuration options, e.g. data-animator-loops="3" or
+ * data-animator-repeat-delay="200", their values are JSON or plain strings. Elements which are
+ * already bound are skipped. Returns array of created animations.
+ *
+ * Element with invalid attributes is skipped, so it does not stop the others. Its error is pushed
+ * to problems array as {element, error} when given, otherwise it is thrown asynchronously (so it
+ * appears in the console).
+ */
+Animator.scan = function (root, problems) {
+    var elements = [];
+    var ret = [];
+
+    root = root || document;
+
+    if (root.nodeType == 1 && root.hasAttribute('data-animator-keyframes'))
+    {
+        elements.push(root);
+    }
+
+    var found = root.querySelectorAll('[data-animator-keyframes]');
+
+    for (var i = 0; i < found.length; i++)
+    {
+        elements.push(found[i]);
+    }
+
+    for (i = 0; i < elements.length; i++)
+    {
+        if (elements[i].animatorBinding) continue;
+
+        try
+        {
+            ret.push(Animator.bindElement(elements[i]));
+        }
+        catch (e)
+        {
+            Animator.reportBindError(elements[i], e, problems);
+        }
+    }
+
+    return ret;
+};
+
+/**
+ * Internal use only. Reports error of element which could not be bound, see Animator.scan
+ */
+Animator.reportBindError = function (element, error, problems) {
+    if (problems)
+    {
+        problems.push({element: element, error: error});
+    }
+    else
+    {
+        window.setTimeout(function () {
+            throw error;
+        }, 0);
+    }
+};
+
+/**
+ * Scans given root element (see Animator.scan) and keeps watching it - elements inserted later
+ * are bound and removed elements are released. Returns MutationObserver, disconnect() stops watching.
+ * Errors of elements are reported as by Animator.scan, also the ones found later.
+ */
+Animator.observe = function (root, problems) {
+    if (!window.MutationObserver) throw new AnimatorError('MutationObserver is not supported', 'NOT_SUPPORTED', {feature: 'MutationObserver'});
+
+    root = root || document;
+
+    Animator.scan(root, problems);
+
+    var observer = new window.MutationObserver(function (mutations) {
+        for (var i = 0; i < mutations.length; i++)
+        {
+            var j;
+
+            //moved element is removed and inserted again, so records have to be processed in order
+            for (j = 0; j < mutations[i].removedNodes.length; j++)
+            {
+                if (mutations[i].removedNodes[j].nodeType == 1) Animator.release(mutations[i].removedNodes[j]);
+            }
+
+            for (j = 0; j < mutations[i].addedNodes.length; j++)
+            {
+                if (mutations[i].addedNodes[j].nodeType == 1) Animator.scan(mutations[i].addedNodes[j], problems);
+            }
+        }
+    });
+
+    observer.observe(root, {childList: true, subtree: true});
+
+    return observer;
+};
+
+/**
+ * Stops animations bound by Animator.scan to given element and elements within it and removes
+ * their event listeners. Elements are left as they are.
+ */
+Animator.release = function (root) {
+    var elements = root.animatorBinding ? [root] : [];
+    var found = root.querySelectorAll ? root.querySelectorAll('[data-animator-keyframes]') : [];
+
+    for (var i = 0; i < found.length; i++)
+    {
+        if (found[i].animatorBinding) elements.push(found[i]);
+    }
+
+    for (i = 0; i < elements.length; i++)
+    {
+        var binding = elements[i].animatorBinding;
+
+        for (var j = 0; j < binding.listeners.length; j++)
+        {
+            binding.listeners[j][0].removeEventListener(binding.listeners[j][1], binding.listeners[j][2], false);
+        }
+
+        if (binding.driver) binding.driver.detach();
+
+        binding.animator.stop();
+        elements[i].animatorBinding = null;
+    }
+};
+
+/**
+ * Internal use only. Creates animation of element described by its data-animator-* attributes
+ * and binds it to its trigger, see Animator.scan. Returns the animation.
+ */
+Animator.bindElement = function (element) {
+    var options = {element: element};
+    var trigger = 'load';
+
+    for (var i = 0; i < element.attributes.length; i++)
+    {
+        var m = element.attributes[i].name.match(/^data-animator-(.+)$/);
+        var value = element.attributes[i].value;
+
+        if (!m) continue;
+
+        if (m[1] == 'trigger')
+        {
+            trigger = value;
+
+            continue;
+        }
+
+        try
+        {
+            value = value == 'Infinity' ? Infinity : JSON.parse(value);
+        }
+        catch (e)
+        {
+            //plain strings, e.g. timing names, are not JSON
+            if (value.match(/^\s*[\[{]/)) throw new ConfigurationError('Invalid JSON in ' + m[0] + ': ' + e.message, 'INVALID_JSON', {attribute: m[0], value: value});
+        }
+
+        options[Animator.prototype.camelcaseString(m[1])] = value;
+    }
+
+    var definition = {version: Animator.JSON_VERSION};
+
+    for (var name in options)
+    {
+        if (options.hasOwnProperty(name) && name != 'element') definition[name] = name == 'loops' && options[name] == Infinity ? 'infinite' : options[name];
+    }
+
+    var problems = Animator.validate(definition);
+
+    if (problems.length) throw new ConfigurationError('Invalid data-animator-* attributes:\n' + problems.join('\n'), 'INVALID_DEFINITION', {problems: problems, element: element});
+
+    var animator = new Animator(options);
+    var binding = {animator: animator, listeners: [], driver: null};
+
+    function listen (target, type, listener)
+    {
+        target.addEventListener(type, listener, false);
+        binding.listeners.push([target, type, listener]);
+    }
+
+    element.animatorBinding = binding;
+
+    switch (trigger)
+    {
+        case 'load':
+            if (document.readyState == 'complete')
+            {
+                animator.animate();
+            }
+            else
+            {
+                listen(window, 'load', function () {
+                    animator.animate();
+                });
+            }
+            break;
+        case 'click':
+            listen(element, 'click', function () {
+                animator.animate();
+            });
+            break;
+        case 'hover':
+            listen(element, 'mouseenter', function () {
+                if (animator.playbackRate < 0)
+                {
+                    animator.reverse();
+                }
+                else if (animator.playState == 'idle')
+                {
+                    animator.animate();
+                }
+            });
+            listen(element, 'mouseleave', function () {
+                if (animator.playbackRate > 0 && animator.playState != 'idle') animator.reverse();
+            });
+            break;
+        case 'visible':
+            binding.driver = new ScrollDriver({animation: animator, target: element, trigger: true}).attach();
+            break;
+        default:
+            element.animatorBinding = null;
+
+            throw new ConfigurationError('Unknown trigger ' + trigger, 'UNKNOWN_TRIGGER', {trigger: trigger});
+    }
+
+    return animator;
+};
+
+/**
+ * Version of the JSON format of animations, see Animator.fromJSON
+ */
+Animator.JSON_VERSION = 1;
+
+/**
+ * Internal use only. Configuration options of animation allowed in the JSON format
+ */
+Animator.JSON_OPTIONS = [
+    'element', 'stagger', 'loops', 'direction', 'repeatDelay', 'keyframes', 'from', 'index', 'timing',
+    'duration', 'physics', 'renderer', 'colorSpace', 'playbackRate', 'dropPolicy', 'maxFrameTime', 'hiddenPolicy'
+];
+
+/**
+ * Creates animation or timeline from its JSON definition (JSON string or parsed object). Definition
+ * is validated first and all problems are reported at once. Animation definition:
+ *
+ * {
+ *     "version": 1,
+ *     "type": "animation",
+ *     "element": "#box",                 //css selector, or given by options.element
+ *     "loops": 2,                        //number or "infinite"
+ *     "keyframes": [{"left": 100, "timing": "ease-out"}, {"left": 0}],
+ *     ...                                //other configuration options, see Animator.JSON_OPTIONS
+ * }
+ *
+ * Timeline definition contains children - animations or timelines placed at positions (see Timeline.add()):
+ *
+ * {
+ *     "version": 1,
+ *     "type": "timeline",
+ *     "children": [{"child": {"keyframes": [...]}, "position": "+=200"}]
+ * }
+ *
+ * Options are configuration options applied to the created animation (or timeline), e.g. element.
+ */
+Animator.fromJSON = function (definition, options) {
+    if (typeof definition === 'string')
+    {
+        try
+        {
+            definition = JSON.parse(definition);
+        }
+        catch (e)
+        {
+            throw new ConfigurationError('Invalid JSON: ' + e.message, 'INVALID_JSON', {value: definition});
+        }
+    }
+
+    var problems = Animator.validate(definition);
+
+    if (problems.length) throw new ConfigurationError('Invalid animation definition:\n' + problems.join('\n'), 'INVALID_DEFINITION', {problems: problems});
+
+    var ret = Animator.createFromDefinition(definition);
+
+    if (options) ret.configure(options);
+
+    return ret;
+};
+
+/**
+ * Internal use only. Creates animation or timeline from valid definition
+ */
+Animator.createFromDefinition = function (definition) {
+    var options = {};
+    var name;
+
+    //definition is copied, so the created animation does not share keyframes with it
+    definition = JSON.parse(JSON.stringify(definition));
+
+    if (definition.type == 'timeline')
+    {
+        var timeline = new Timeline();
+
+        if (definition.hasOwnProperty('playbackRate')) timeline.playbackRate = definition.playbackRate;
+
+        for (var i = 0; i < definition.children.length; i++)
+        {
+            timeline.add(Animator.createFromDefinition(definition.children[i].child), definition.children[i].position);
+        }
+
+        return timeline;
+    }
+
+    for (name in definition)
+    {
+        if (definition.hasOwnProperty(name) && name != 'version' && name != 'type') options[name] = definition[name];
+    }
+
+    if (options.loops == 'infinite') options.loops = Infinity;
+
+    return new Animator(options);
+};
+
+/**
+ * Validates JSON definition of animation or timeline (see Animator.fromJSON). Returns array of all
+ * problems found, each prefixed by its path, e.g. 'keyframes[2].timing: unknown easing "ease-in-out-x"'.
+ */
+Animator.validate = function (definition) {
+    var proto = Animator.prototype;
+    var problems = [];
+
+    function report (path, message)
+    {
+        problems.push(path ? path + ': ' + message : message);
+    }
+
+    function join (path, name)
+    {
+        return path ? path + '.' + name : name;
+    }
+
+    function quote (value)
+    {
+        return value instanceof Function ? 'function' : JSON.stringify(value);
+    }
+
+    function isObject (value)
+    {
+        return typeof value === 'object' && value !== null && !(value instanceof Array);
+    }
+
+    function isNumber (value)
+    {
+        return typeof value === 'number' && isFinite(value);
+    }
+
+    function checkNumber (path, value, min, exclusive)
+    {
+        if (!isNumber(value) || value < min || (exclusive && value == min))
+        {
+            report(path, 'has to be a number ' + (exclusive ? 'greater than ' : 'not less than ') + min + ', got ' + quote(value));
+        }
+    }
+
+    function checkTiming (path, timing)
+    {
+        if (typeof timing !== 'string') return report(path, 'has to be name of easing, cubic-bezier() or steps(), got ' + quote(timing));
+
+        try
+        {
+            proto.getEasing(timing);
+        }
+        catch (e)
+        {
+            report(path, (timing.match(/^\s*(cubic-bezier|steps)\s*\(/) ? 'invalid easing ' : 'unknown easing ') + quote(timing));
+        }
+    }
+
+    function checkOneOf (path, value, allowed)
+    {
+        var names = [];
+
+        for (var name in allowed)
+        {
+            if (allowed.hasOwnProperty(name)) names.push(name);
+        }
+
+        if (!allowed.hasOwnProperty(value)) report(path, 'unknown value ' + quote(value) + ', allowed: ' + names.join(', '));
+    }
+
+    function checkPhysics (path, physics)
+    {
+        if (!isObject(physics)) return report(path, 'has to be an object');
+
+        for (var name in physics)
+        {
+            if (!physics.hasOwnProperty(name)) continue;
+
+            if (name == 'velocity')
+            {
+                if (!isNumber(physics[name])) report(join(path, name), 'has to be a number, got ' + quote(physics[name]));
+            }
+            else if (name == 'stiffness' || name == 'damping' || name == 'mass' || name == 'rest')
+            {
+                checkNumber(join(path, name), physics[name], 0, true);
+            }
+            else
+            {
+                report(join(path, name), 'unknown spring option');
+            }
+        }
+    }
+
+    function checkMotionPath (path, value)
+    {
+        var options = isObject(value) ? value : {path: value};
+
+        for (var name in options)
+        {
+            if (options.hasOwnProperty(name) && ['path', 'start', 'end', 'align', 'autoRotate'].indexOf(name) == -1)
+            {
+                report(join(path, name), 'unknown motion path option');
+            }
+        }
+
+        if (options.hasOwnProperty('start')) checkNumber(join(path, 'start'), options.start, 0);
+        if (options.hasOwnProperty('end')) checkNumber(join(path, 'end'), options.end, 0);
+
+        if (options.hasOwnProperty('align') && !(options.align instanceof Array && options.align.length == 2 && isNumber(options.align[0]) && isNumber(options.align[1])))
+        {
+            report(join(path, 'align'), 'has to be [x, y] pair of numbers');
+        }
+
+        if (options.hasOwnProperty('autoRotate') && typeof options.autoRotate !== 'boolean' && !isNumber(options.autoRotate))
+        {
+            report(join(path, 'autoRotate'), 'has to be boolean or angle in degrees');
+        }
+
+        try
+        {
+            Animator.motionPath(options.path);
+        }
+        catch (e)
+        {
+            report(isObject(value) ? join(path, 'path') : path, 'invalid path ' + quote(options.path));
+        }
+    }
+
+    function isStyleProperty (name)
+    {
+        var style = window.document && document.documentElement ? document.documentElement.style : null;
+
+        return !!style && typeof style[proto.camelcaseString(name)] !== 'undefined';
+    }
+
+    function checkProperty (path, name, value)
+    {
+        if (!proto.isAnimatable(name) && proto.SVG_ATTRIBUTES.indexOf(name) == -1 && !isStyleProperty(name))
+        {
+            return report(path, 'unknown property');
+        }
+
+        if (name == 'motionPath') return checkMotionPath(path, value);
+        if (name == 'drawLine') return checkNumber(path, value, 0);
+
+        var values = value instanceof Array ? value : [value];
+        var parse = proto.getProperty(name).parse;
+
+        if (value instanceof Array && value.length != 2) return report(path, 'has to be a value or [from, to] pair');
+
+        for (var i = 0; i < values.length; i++)
+        {
+            var v = values[i];
+
+            if (!isNumber(v) && typeof v !== 'string')
+            {
+                report(path, 'invalid value ' + quote(v));
+            }
+            else if (parse === Animator.properties.boxShadow.parse)
+            {
+                try
+                {
+                    proto.parseCompound(v, name);
+                }
+                catch (e)
+                {
+                    //current color could not be read without element
+                    if (e instanceof AnimatorError) report(path, 'invalid value ' + quote(v));
+                }
+            }
+            else if (typeof v === 'string' && proto.MULTI_PROPERTIES.hasOwnProperty(name))
+            {
+                var parts = proto.splitValue(v, ' ');
+
+                if (!parts.length || parts.length > 4 || v.indexOf('/') >= 0) report(path, 'has to be 1 to 4 values, got ' + quote(v));
+
+                for (var j = 0; j < parts.length; j++)
+                {
+                    checkValue(path, name, parts[j], parse);
+                }
+            }
+            else
+            {
+                checkValue(path, name, v, parse);
+            }
+        }
+    }
+
+    function checkValue (path, name, v, parse)
+    {
+        //values of properties with own parse() are up to them
+        if (parse !== Animator.defaultProperty.parse && parse !== Animator.properties.color.parse && name != 'd') return;
+
+        if (name == 'd')
+        {
+            try
+            {
+                Animator.parsePath(v);
+            }
+            catch (e)
+            {
+                report(path, 'invalid path ' + quote(v));
+            }
+        }
+        else if (proto.isColor(name))
+        {
+            if (typeof v === 'string' && v.match(/^\s*(currentcolor|none)\s*$/i)) return;
+
+            try
+            {
+                proto.getRGB(v);
+            }
+            catch (e)
+            {
+                report(path, 'invalid color ' + quote(v));
+            }
+        }
+        else if (typeof v === 'string' && proto.SVG_ATTRIBUTES.indexOf(name) == -1 &&
+            !v.match(/^\s*(?:[-+]=\s*)?[-+]?(?:[0-9]+\.?[0-9]*|\.[0-9]+)(?:e[-+]?[0-9]+)?\s*[a-z%]*\s*$/i))
+        {
+            report(path, 'invalid value ' + quote(v));
+        }
+    }
+
+    function checkKeyframe (path, keyframe)
+    {
+        if (!isObject(keyframe)) return report(path, 'keyframe has to be an object');
+
+        for (var name in keyframe)
+        {
+            if (!keyframe.hasOwnProperty(name)) continue;
+
+            var p = join(path, name);
+
+            if (name == 'duration') checkNumber(p, keyframe[name], 0);
+            else if (name == 'timing') checkTiming(p, keyframe[name]);
+            else if (name == 'colorSpace') checkOneOf(p, keyframe[name], Animator.colorSpaces);
+            else if (name == 'physics') checkPhysics(p, keyframe[name]);
+            else checkProperty(p, name, keyframe[name]);
+        }
+    }
+
+    function checkAnimation (path, definition)
+    {
+        var name, p, i;
+
+        for (name in definition)
+        {
+            if (!definition.hasOwnProperty(name)) continue;
+
+            var value = definition[name];
+
+            p = join(path, name);
+
+            if (name == 'version' || name == 'type') continue;
+
+            switch (name)
+            {
+                case 'element':
+                    if (typeof value !== 'string') report(p, 'has to be css selector');
+                    break;
+                case 'stagger':
+                    if (isObject(value))
+                    {
+                        if (value.hasOwnProperty('each')) checkNumber(join(p, 'each'), value.each, 0);
+
+                        if (value.hasOwnProperty('from') && !isNumber(value.from) && ['start', 'center', 'end'].indexOf(value.from) == -1)
+                        {
+                            report(join(p, 'from'), 'has to be start, center, end or index of element');
+                        }
+                    }
+                    else
+                    {
+                        checkNumber(p, value, 0);
+                    }
+                    break;
+                case 'loops':
+                    if (value !== 'infinite') checkNumber(p, value, 0);
+                    break;
+                case 'direction':
+                    checkOneOf(p, value, proto.DIRECTIONS);
+                    break;
+                case 'repeatDelay':
+                case 'duration':
+                case 'index':
+                    checkNumber(p, value, 0);
+                    break;
+                case 'timing':
+                    checkTiming(p, value);
+                    break;
+                case 'physics':
+                    checkPhysics(p, value);
+                    break;
+                case 'renderer':
+                    checkOneOf(p, value, {js: true, waapi: true});
+                    break;
+                case 'colorSpace':
+                    checkOneOf(p, value, Animator.colorSpaces);
+                    break;
+                case 'playbackRate':
+                    if (!isNumber(value) || !value) report(p, 'has to be non-zero number, got ' + quote(value));
+                    break;
+                case 'dropPolicy':
+                    checkOneOf(p, value, proto.DROP_POLICIES);
+                    break;
+                case 'maxFrameTime':
+                    checkNumber(p, value, 0, true);
+                    break;
+                case 'hiddenPolicy':
+                    checkOneOf(p, value, proto.HIDDEN_POLICIES);
+                    break;
+                case 'from':
+                    if (!isObject(value)) report(p, 'has to be an object');
+
+                    for (var property in value)
+                    {
+                        if (isObject(value) && value.hasOwnProperty(property)) checkProperty(join(p, property), property, value[property]);
+                    }
+                    break;
+                case 'keyframes':
+                    break;
+                default:
+                    report(p, 'unknown option');
+            }
+        }
+
+        p = join(path, 'keyframes');
+
+        if (!(definition.keyframes instanceof Array) || !definition.keyframes.length)
+        {
+            report(p, 'has to be non-empty array of keyframes');
+        }
+        else
+        {
+            for (i = 0; i < definition.keyframes.length; i++)
+            {
+                checkKeyframe(p + '[' + i + ']', definition.keyframes[i]);
+            }
+        }
+    }
+
+    function checkTimeline (path, definition)
+    {
+        for (var name in definition)
+        {
+            if (!definition.hasOwnProperty(name) || name == 'version' || name == 'type' || name == 'children') continue;
+
+            if (name == 'playbackRate')
+            {
+                if (!isNumber(definition[name]) || !definition[name]) report(join(path, name), 'has to be non-zero number, got ' + quote(definition[name]));
+            }
+            else
+            {
+                report(join(path, name), 'unknown option');
+            }
+        }
+
+        var p = join(path, 'children');
+
+        if (!(definition.children instanceof Array) || !definition.children.length)
+        {
+            return report(p, 'has to be non-empty array of children');
+        }
+
+        for (var i = 0; i < definition.children.length; i++)
+        {
+            var child = definition.children[i];
+            var c = p + '[' + i + ']';
+
+            if (!isObject(child))
+            {
+                report(c, 'has to be {child, position} object');
+
+                continue;
+            }
+
+            for (name in child)
+            {
+                if (child.hasOwnProperty(name) && name != 'child' && name != 'position') report(join(c, name), 'unknown option');
+            }
+
+            if (child.hasOwnProperty('position') && child.position !== null)
+            {
+                try
+                {
+                    new Timeline().getOffset(child.position);
+                }
+                catch (e)
+                {
+                    report(join(c, 'position'), 'invalid position ' + quote(child.position));
+                }
+            }
+
+            checkDefinition(join(c, 'child'), child.child);
+        }
+    }
+
+    function checkDefinition (path, definition)
+    {
+        if (!isObject(definition)) return report(path, 'definition has to be an object');
+
+        if (definition.hasOwnProperty('version') && definition.version !== Animator.JSON_VERSION)
+        {
+            report(join(path, 'version'), 'unsupported version ' + quote(definition.version) + ', supported: ' + Animator.JSON_VERSION);
+        }
+
+        var type = definition.hasOwnProperty('type') ? definition.type : 'animation';
+
+        if (type == 'timeline')
+        {
+            checkTimeline(path, definition);
+        }
+        else if (type == 'animation')
+        {
+            checkAnimation(path, definition);
+        }
+        else
+        {
+            report(join(path, 'type'), 'unknown type ' + quote(type) + ', allowed: animation, timeline');
+        }
+    }
+
+    if (isObject(definition) && !definition.hasOwnProperty('version'))
+    {
+        report('version', 'is required');
+    }
+
+    checkDefinition('', definition);
+
+    return problems;
+};
@@ -31,13 +31,35 @@ var core = {};
  *
  * class core.declare(Object classDefinition);
  * class core.declare(class superClass [, Object classDefinition]);
+ * class core.declare(Array [class superClass, class|Object mixin, ...] [, Object classDefinition]);
  *
  * Important notes:
  *
  * - to call inherited implementation from method, use this.inherited() call
+ * - superclass may be followed by mixins - classes (or plain definitions) which members are
+ *   copied into the class. Method resolution order is linearized (C3 linearization of bases
+ *   in reverse order), so this.inherited() goes through the mixins (last one first) to the
+ *   superclass. Objects are instances of the superclass, but not of the mixins. Mixin which
+ *   is already mixed into (or inherited by) another of the bases is skipped. Bases which would
+ *   have to precede each other in different order could not be combined.
+ * - members of `statics` block of definition are copied to the class itself, statics of
+ *   superclass and mixins are inherited
+ * - `implements` is an array of interfaces - objects with members the class has to contain
+ *   (members which are functions in interface have to be methods), otherwise the class is not
+ *   declared. Interfaces of superclass and mixins are checked as well.
  * - for all properties there are automatically generated getters, setters and
  *   resetters. For example if you declare property `foo`, the following methods
  *   will be automatically created: setFoo(value), value getFoo(void), value resetFoo(void)
+ * - all methods named on* (followed by capital letter) are events, listeners are bound to
+ *   single object by object.on(name, handler [, priority]), object.once(...) and removed by
+ *   object.off(name [, handler]). Name of the event may be followed by namespace, e.g.
+ *   'onFire.analytics', so object.off('.analytics') removes all listeners of the namespace.
+ *   The same is available on the event itself: object.onFire.on(handler [, priority]), etc.
+ *   object.onFire.bind(handler) and object.onFire.unbind(handler) are deprecated aliases of
+ *   object.onFire.on(handler) and object.onFire.off(handler).
+ *   Listeners with higher priority are called first (default is 0), error thrown by any
+ *   listener does not stop the others nor the code which fired the event, it is thrown
+ *   asynchronously (so it appears in the console).
  */
 
 /* //example (basic & inheritance):
@@ -65,6 +87,32 @@ var core = {};
  * var a = new A();
  * var b = new B();
  *
+ * //example (mixins, statics & interfaces):
+ *
+ * var Logging = core.declare({
+ *     foo: function () {
+ *          console.log('Logging::foo');
+ *          this.inherited(); //call foo of next class in resolution order
+ *     }
+ * });
+ *
+ * var C = core.declare([A, Logging], {
+ *     implements: [{foo: Function}],
+ *
+ *     statics: {
+ *         create: function () {
+ *             return new C();
+ *         }
+ *     },
+ *
+ *     foo: function () {
+ *          console.log('C::foo');
+ *          this.inherited(); //Logging::foo, then A::foo
+ *     }
+ * });
+ *
+ * var c = C.create();
+ *
  * //example (built-in events mechanism):
  *
  * var myClass = core.declare({
@@ -83,11 +131,16 @@ var core = {};
  *
  * var myObject = new myClass();
  *
- * myObject.onFire.bind(function (sender, arg1, arg2, arg3) {
+ * myObject.onFire.on(function (sender, arg1, arg2, arg3) {
  *     console.log('onFire event raised!');
  * });
  *
+ * myObject.once('onFire.log', function (sender) {
+ *     console.log('called before the other listener and only once');
+ * }, 10);
+ *
  * myObject.fire();
+ * myObject.off('.log');
  */
 
 (function () {
@@ -154,6 +207,413 @@ var core = {};
         return what;
     }
 
+    /**
+     * Creates error thrown by core.declare(). It is DeclareTypeError when errors.js is loaded,
+     * otherwise TypeError with the same code and details, so declare.js can be used on its own.
+     */
+    function createError (message, code, details)
+    {
+        if (typeof DeclareTypeError === 'function') return new DeclareTypeError(message, code, details);
+
+        var error = new TypeError(message);
+
+        error.code = code;
+        error.details = details || {};
+
+        return error;
+    }
+
+    /**
+     * Returns true if member of given name and value is an event
+     */
+    function isEvent (name, member)
+    {
+        return member instanceof Function && /^on[A-Z0-9_$]/.test(name);
+    }
+
+    /**
+     * Splits name of the event with optional namespace, e.g. 'onFire.analytics'
+     */
+    function parseEventName (name)
+    {
+        if (typeof name !== 'string')
+        {
+            throw createError('Name of event has to be a string', 'INVALID_EVENT', {event: name});
+        }
+
+        var index = name.indexOf('.');
+
+        return index < 0 ? {event: name, namespace: null} : {event: name.substr(0, index), namespace: name.substr(index + 1) || null};
+    }
+
+    /**
+     * Adds listener to the event of given scope. Listeners are kept sorted by priority,
+     * listeners of equal priority in order of adding.
+     */
+    function addListener (scope, name, handler, priority, once)
+    {
+        var parsed = parseEventName(name);
+
+        if (!isEvent(parsed.event, scope[parsed.event]))
+        {
+            throw createError('Unknown event ' + parsed.event, 'UNKNOWN_EVENT', {event: parsed.event});
+        }
+
+        if (!(handler instanceof Function))
+        {
+            throw createError('Listener of event ' + parsed.event + ' has to be a function', 'INVALID_LISTENER', {event: parsed.event});
+        }
+
+        if (!scope.construct.listeners) scope.construct.listeners = {};
+
+        //array is never modified in place, so event being dispatched keeps the list it started with
+        var listeners = (scope.construct.listeners[parsed.event] || []).slice(0);
+        var listener = {
+            handler: handler,
+            namespace: parsed.namespace,
+            priority: priority || 0,
+            once: once,
+            removed: false
+        };
+
+        for (var i = listeners.length; i > 0 && listeners[i - 1].priority < listener.priority; i--);
+
+        listeners.splice(i, 0, listener);
+        scope.construct.listeners[parsed.event] = listeners;
+    }
+
+    /**
+     * Removes listeners of the event of given scope matching name (event, event with namespace,
+     * or namespace only, e.g. '.analytics') and handler (all when not given). Listeners of all
+     * events are removed when name is not given.
+     */
+    function removeListeners (scope, name, handler)
+    {
+        var parsed = typeof name === 'undefined' || name === null ? {event: null, namespace: null} : parseEventName(name);
+        var all = scope.construct.listeners;
+
+        for (var event in all)
+        {
+            if (!all.hasOwnProperty(event) || (parsed.event && parsed.event != event)) continue;
+
+            var listeners = [];
+
+            for (var i = 0; i < all[event].length; i++)
+            {
+                var listener = all[event][i];
+
+                if ((!handler || listener.handler === handler) && (!parsed.namespace || listener.namespace == parsed.namespace))
+                {
+                    //listener could be already taken by event being dispatched
+                    listener.removed = true;
+                }
+                else
+                {
+                    listeners.push(listener);
+                }
+            }
+
+            all[event] = listeners;
+        }
+    }
+
+    /**
+     * Throws error of listener asynchronously
+     */
+    function reportError (error)
+    {
+        setTimeout(function () {
+            throw error;
+        }, 0);
+    }
+
+    /**
+     * Calls listeners of the event of given scope with the scope followed by event arguments
+     */
+    function dispatchEvent (scope, name, args)
+    {
+        var listeners = scope.construct.listeners ? scope.construct.listeners[name] : null;
+
+        if (!listeners || !listeners.length) return;
+
+        args = [scope].concat(Array.prototype.slice.call(args));
+
+        for (var i = 0; i < listeners.length; i++)
+        {
+            var listener = listeners[i];
+
+            if (listener.removed) continue;
+
+            if (listener.once)
+            {
+                removeListener(scope, name, listener);
+            }
+
+            try
+            {
+                listener.handler.apply(scope, args);
+            }
+            catch (e)
+            {
+                reportError(e);
+            }
+        }
+    }
+
+    /**
+     * Removes single listener of the event of given scope
+     */
+    function removeListener (scope, name, listener)
+    {
+        var listeners = scope.construct.listeners[name];
+        var index = listeners.indexOf(listener);
+
+        listener.removed = true;
+
+        if (index >= 0)
+        {
+            listeners = listeners.slice(0);
+            listeners.splice(index, 1);
+            scope.construct.listeners[name] = listeners;
+        }
+    }
+
+    /**
+     * Creates event method of single object, which allows to bind listeners to the object by
+     * object.onFire.on(handler), see on(), once() and off()
+     */
+    function createInstanceEvent (scope, name, event)
+    {
+        var instanceEvent = function () {
+            return event.apply(this, arguments);
+        };
+
+        instanceEvent.on = function (handler, priority) {
+            return scope.on(name, handler, priority);
+        };
+
+        instanceEvent.once = function (handler, priority) {
+            return scope.once(name, handler, priority);
+        };
+
+        instanceEvent.off = function (handler) {
+            return scope.off(name, handler);
+        };
+
+        //Deprecated aliases of on() and off(), native bind() is used when given anything but listener
+        instanceEvent.bind = function (handler) {
+            if (!(handler instanceof Function)) return Function.prototype.bind.apply(this, arguments);
+
+            return scope.on(name, handler);
+        };
+
+        instanceEvent.unbind = function (handler) {
+            return scope.off(name, handler);
+        };
+
+        instanceEvent.original = event.original;
+
+        return instanceEvent;
+    }
+
+    /**
+     * Splits definition of class into its members, statics and interfaces
+     */
+    function splitDefinition (definition)
+    {
+        var ret = {definition: {}, statics: {}, interfaces: []};
+
+        for (var name in definition)
+        {
+            if (!definition.hasOwnProperty(name)) continue;
+
+            if (name == 'statics')
+            {
+                if (typeOf(definition[name]) !== 'object') throw createError('Statics have to be an object', 'INVALID_DECLARATION', {member: name});
+
+                ret.statics = definition[name];
+            }
+            else if (name == 'implements')
+            {
+                ret.interfaces = typeOf(definition[name]) === 'array' ? definition[name] : [definition[name]];
+
+                for (var i = 0; i < ret.interfaces.length; i++)
+                {
+                    if (typeOf(ret.interfaces[i]) !== 'object') throw createError('Interface has to be an object', 'INVALID_DECLARATION', {member: name});
+                }
+            }
+            else
+            {
+                ret.definition[name] = definition[name];
+            }
+        }
+
+        return ret;
+    }
+
+    /**
+     * Returns declaration of class or plain definition used as mixin: its method resolution
+     * order, members, statics and interfaces. Returns null for classes not declared by core.declare().
+     */
+    function getDeclaration (base)
+    {
+        if (base instanceof Function) return base.declaration || null;
+
+        var declaration = splitDefinition(base);
+
+        declaration.mro = [base];
+
+        return declaration;
+    }
+
+    /**
+     * Returns method resolution order of class (or plain definition)
+     */
+    function getMro (base)
+    {
+        var declaration = getDeclaration(base);
+
+        return declaration ? declaration.mro : [base];
+    }
+
+    /**
+     * Returns bases without duplicates and without bases which are in resolution order of another base
+     */
+    function mergeBases (bases)
+    {
+        var ret = [];
+
+        for (var i = 0; i < bases.length; i++)
+        {
+            var merged = ret.indexOf(bases[i]) >= 0;
+
+            for (var j = 0; j < bases.length && !merged; j++)
+            {
+                merged = bases[j] !== bases[i] && getMro(bases[j]).indexOf(bases[i]) > 0;
+            }
+
+            if (!merged) ret.push(bases[i]);
+        }
+
+        return ret;
+    }
+
+    /**
+     * Linearizes method resolution order of given bases (C3 linearization). Each base precedes
+     * its own bases and bases keep the order they are given in, i.e. mixins have to be given
+     * before the superclass. Bases which are already bases of others (or given twice) are merged.
+     */
+    function linearize (bases)
+    {
+        var sequences = [];
+        var ret = [];
+        var i, j;
+
+        for (i = 0; i < bases.length; i++)
+        {
+            if (!(bases[i] instanceof Function) && typeOf(bases[i]) !== 'object')
+            {
+                throw createError('Base has to be a class or definition of mixin', 'INVALID_BASE', {base: bases[i]});
+            }
+        }
+
+        bases = mergeBases(bases);
+
+        for (i = 0; i < bases.length; i++)
+        {
+            sequences.push(getMro(bases[i]).slice(0));
+        }
+
+        sequences.push(bases.slice(0));
+
+        for (;;)
+        {
+            var head = null;
+
+            for (i = sequences.length - 1; i >= 0; i--)
+            {
+                if (!sequences[i].length) sequences.splice(i, 1);
+            }
+
+            if (!sequences.length) return ret;
+
+            //the first head which is not in tail of any sequence
+            for (i = 0; i < sequences.length && !head; i++)
+            {
+                head = sequences[i][0];
+
+                for (j = 0; j < sequences.length && head; j++)
+                {
+                    if (sequences[j].indexOf(head) > 0) head = null;
+                }
+            }
+
+            if (!head) throw createError('Inconsistent method resolution order of bases, they are given in different order than they inherit (or mix in) each other', 'INCONSISTENT_HIERARCHY', {bases: bases});
+
+            ret.push(head);
+
+            for (i = 0; i < sequences.length; i++)
+            {
+                if (sequences[i][0] === head) sequences[i].shift();
+            }
+        }
+    }
+
+    /**
+     * Creates method of mixin copied into another class. Inherited implementation is kept by
+     * the copy, so the same mixin could be used by many classes.
+     */
+    function createMixinMethod (method)
+    {
+        var mixinMethod = function () {
+            return method.apply(this, arguments);
+        };
+
+        mixinMethod.mixin = method;
+
+        return mixinMethod;
+    }
+
+    /**
+     * Creates superclass of the class from linearized bases. The longest tail of bases which is
+     * the resolution order of an existing class is that class, the rest of bases are mixed into it.
+     */
+    function createSuperClass (mro)
+    {
+        for (var start = 0; start < mro.length; start++)
+        {
+            var tail = getMro(mro[start]);
+
+            if (mro[start] instanceof Function && tail.length == mro.length - start)
+            {
+                for (var i = 0; i < tail.length && tail[i] === mro[start + i]; i++);
+
+                if (i == tail.length) break;
+            }
+        }
+
+        var SuperClass = start < mro.length ? mro[start] : null;
+
+        for (i = start - 1; i >= 0; i--)
+        {
+            var declaration = getDeclaration(mro[i]);
+            var definition = {};
+
+            if (!declaration) throw createError('Only classes declared by core.declare() could be mixed in', 'INVALID_BASE', {base: mro[i]});
+
+            for (var name in declaration.definition)
+            {
+                var member = declaration.definition[name];
+
+                definition[name] = member instanceof Function ? createMixinMethod(member) : member;
+            }
+
+            SuperClass = SuperClass ? core.declare(SuperClass, definition) : core.declare(definition);
+        }
+
+        return SuperClass;
+    }
+
     /**
      * Declares classes
      */
@@ -166,11 +626,25 @@ var core = {};
             SuperClass = arguments[0];
             break;
         case 1:
-            definition = arguments[0];
-            SuperClass = null;
+            definition = arguments[0] instanceof Array ? {} : arguments[0];
+            SuperClass = arguments[0] instanceof Array ? arguments[0] : null;
             break;
         }
 
+        var declaration = splitDefinition(definition || {});
+        //the last mixin is the nearest one
+        var mro = linearize(SuperClass instanceof Array ? SuperClass.slice(0).reverse() : (SuperClass ? [SuperClass] : []));
+
+        SuperClass = createSuperClass(mro);
+
+        //Definition is prepared on a copy, the declared one is kept for mixing the class into others
+        definition = {};
+
+        for (var name in declaration.definition)
+        {
+            definition[name] = declaration.definition[name];
+        }
+
         /**
          * Creates accessors for given property (by name) within definition
          */
@@ -257,7 +731,7 @@ var core = {};
                             //only methods can override methods
                             if (!(inherited instanceof Function))
                             {
-                                throw 'Types mismatch: ' + name + ': ' + inhertedType + ' expected, ' + memberType + ' given';
+                                throw createError('Types mismatch: ' + name + ': ' + inhertedType + ' expected, ' + memberType + ' given', 'TYPES_MISMATCH', {member: name, expected: inhertedType, given: memberType});
                             }
 
                             member.inherited = inherited.original || inherited;
@@ -270,7 +744,7 @@ var core = {};
                         }
                         else
                         {
-                            throw 'Types mismatch: ' + name + ': ' + inhertedType + ' expected, ' + memberType + ' given';
+                            throw createError('Types mismatch: ' + name + ': ' + inhertedType + ' expected, ' + memberType + ' given', 'TYPES_MISMATCH', {member: name, expected: inhertedType, given: memberType});
                         }
                     }
                     //member is a method and does not exist in parent implementation, so just copy it
@@ -308,71 +782,22 @@ var core = {};
         }
 
         /**
-         * Creates event method (name matches on*) in given scope.
+         * Creates event method (name matches on*), which calls its original implementation and
+         * all listeners of the event
          */
         function createEvent (originalEvent, name)
         {
-            //Overwrite original event method with a new one which will call its original implementation and all event listeners
             var newEvent = function () {
                 var ret = originalEvent.apply(this, arguments);
-                var listeners = this.construct.listeners;
 
-                if (ret !== false && listeners && listeners[name] && listeners[name].length > 0)
+                if (ret !== false)
                 {
-                    var args = [this];
-                    var length = arguments.length;
-
-                    for (var i = 0; i < length; i++)
-                    {
-                        args.push(arguments[i]);
-                    }
-
-                    length = listeners[name].length;
-
-                    for (i = 0; i < length; i++)
-                    {
-                        if (listeners[name][i] instanceof Function)
-                        {
-                            listeners[name][i].apply(this, args);
-                        }
-                    }
+                    dispatchEvent(this, name, arguments);
                 }
 
                 return ret;
             };
 
-            //Create bind() method within new event method which will allow to bind listeners to event
-            newEvent.bind = function (handler) {
-                var name = arguments.callee.eventName;
-                var scope = arguments.callee.eventScope;
-
-                if (!scope.construct.listeners) scope.construct.listeners = {};
-                if (!scope.construct.listeners[name]) scope.construct.listeners[name] = [];
-
-                scope.construct.listeners[name].push(handler);
-            };
-
-            //Create unbind() method within new event method which will allow to unbind listeners from event
-            newEvent.unbind = function (handler) {
-                var name = arguments.callee.eventName;
-                var scope = arguments.callee.eventScope;
-
-                if (scope.construct.listeners && scope.construct.listeners[name])
-                {
-                    var listeners = scope.construct.listeners[name];
-                    var length = listeners.length;
-
-                    for (var i = 0; i < length; i++)
-                    {
-                        if (listeners[i] === handler)
-                        {
-                            delete listeners[i];
-                            break;
-                        }
-                    }
-                }
-            };
-
             //Create reference to original method (will be required in inheritance)
             newEvent.original = originalEvent;
 
@@ -385,15 +810,13 @@ var core = {};
         var Class = function () {
             var constructArgs = arguments;
 
-            //Find all on* methods and add pointers for proper scope and name to bind & unbind methods
+            //Each object gets its own event methods, so listeners could be bound by them
+            //(but not the prototype of subclass, which is created with disabled constructor)
             for (var name in this)
             {
-                if (this[name] instanceof Function && name.substr(0, 2) == 'on')
+                if (isEvent(name, this[name]) && !this.construct.disabled)
                 {
-                    this[name].bind.eventScope = this;
-                    this[name].bind.eventName = name;
-                    this[name].unbind.eventScope = this;
-                    this[name].unbind.eventName = name;
+                    this[name] = createInstanceEvent(this, name, this[name]);
                 }
             }
 
@@ -453,6 +876,34 @@ var core = {};
                 }
             },
 
+            //Default on() method, binds listener to the event
+            on: function (name, handler, priority) {
+                addListener(this, name, handler, priority, false);
+
+                return this;
+            },
+
+            //Default once() method, binds listener which is removed when called for the first time
+            once: function (name, handler, priority) {
+                addListener(this, name, handler, priority, true);
+
+                return this;
+            },
+
+            //Default off() method, removes listeners (all of them when called without arguments)
+            off: function (name, handler) {
+                removeListeners(this, name, handler);
+
+                return this;
+            },
+
+            //Default hasListeners() method, returns true if anything listens to the event
+            hasListeners: function (name) {
+                var listeners = this.construct.listeners;
+
+                return !!(listeners && listeners[name] && listeners[name].length);
+            },
+
             //Default destroy() method
             destroy: function () {
                 for (var name in this)
@@ -469,7 +920,7 @@ var core = {};
 
         if (prepared.methods.inherited || prepared.properties.inherited)
         {
-            throw '`inherited` is a reserved member name and could not be defined by user';
+            throw createError('`inherited` is a reserved member name and could not be defined by user', 'RESERVED_MEMBER', {member: 'inherited'});
         }
 
         //Import properties
@@ -481,7 +932,7 @@ var core = {};
         //Import methods
         for (name in prepared.methods)
         {
-            if (name.substr(0, 2) == 'on')
+            if (isEvent(name, prepared.methods[name]))
             {
                 Class.prototype[name] = createEvent(prepared.methods[name], name);
             }
@@ -493,14 +944,63 @@ var core = {};
 
         //Create special inherited() method
         Class.prototype.inherited = function () {
-            if (!arguments.callee.caller.inherited)
+            var caller = arguments.callee.caller;
+
+            //method of mixin is called by its copy, which knows inherited implementation
+            if (caller.caller && caller.caller.mixin === caller)
             {
-                throw 'Method has no inherited implementation';
+                caller = caller.caller;
             }
 
-            return arguments.callee.caller.inherited.apply(this, arguments);
+            if (!caller.inherited)
+            {
+                throw createError('Method has no inherited implementation', 'NO_INHERITED_IMPLEMENTATION');
+            }
+
+            return caller.inherited.apply(this, arguments);
+        };
+
+        Class.declaration = {
+            mro: [Class].concat(mro),
+            definition: declaration.definition,
+            statics: declaration.statics,
+            interfaces: declaration.interfaces
         };
 
+        //Copy statics, the nearest ones in resolution order win
+        for (var i = Class.declaration.mro.length - 1; i >= 0; i--)
+        {
+            var statics = getDeclaration(Class.declaration.mro[i]);
+
+            statics = statics ? statics.statics : {};
+
+            for (name in statics)
+            {
+                if (statics.hasOwnProperty(name)) Class[name] = statics[name];
+            }
+        }
+
+        //Check interfaces
+        for (i = 0; i < Class.declaration.mro.length; i++)
+        {
+            var interfaces = getDeclaration(Class.declaration.mro[i]);
+
+            interfaces = interfaces ? interfaces.interfaces : [];
+
+            for (var j = 0; j < interfaces.length; j++)
+            {
+                for (name in interfaces[j])
+                {
+                    if (!interfaces[j].hasOwnProperty(name)) continue;
+
+                    if (typeof Class.prototype[name] === 'undefined' || (interfaces[j][name] instanceof Function && !(Class.prototype[name] instanceof Function)))
+                    {
+                        throw createError('Class does not implement ' + name, 'NOT_IMPLEMENTED', {member: name, 'interface': interfaces[j]});
+                    }
+                }
+            }
+        }
+
         //Return finished class
         return Class;
     };
@@ -0,0 +1,111 @@
+/**
+ # Copyright (c) 2012 Borys Forytarz <borys.forytarz@gmail.com>
+ #
+ # Permission is hereby granted, free of charge, to any person
+ # obtaining a copy of this software and associated documentation files
+ # (the "Software"), to deal in the Software without restriction,
+ # including without limitation the rights to use, copy, modify,
+ # merge, publish, distribute, sublicense, and/or sell copies of the
+ # Software, and to permit persons to whom the Software is furnished
+ # to do so, subject to the following conditions:
+ #
+ # The above copyright notice and this permission notice shall be
+ # included in all copies or substantial portions of the Software.
+ #
+ # THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ # EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ # MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ # NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS
+ # BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN
+ # ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ # CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ # SOFTWARE.
+ */
+
+/**
+ * Errors thrown by declare(), animations, timelines and scroll drivers. All of them inherit from
+ * AnimatorError (and so from Error) and carry machine-readable code and details:
+ *
+ * try
+ * {
+ *     animator.play();
+ * }
+ * catch (e)
+ * {
+ *     if (e instanceof UnsupportedPropertyError) console.log(e.code, e.details.property, e.details.keyframe);
+ * }
+ *
+ * - AnimatorError - general error, e.g. feature not supported by the browser
+ * - ConfigurationError - invalid option, value or definition
+ * - UnsupportedPropertyError - property (or its unit or value form) could not be animated
+ * - DeclareTypeError - invalid class definition given to core.declare()
+ *
+ * Errors raised while playing (within animation frame) are passed to onError event of the playback.
+ */
+
+/**
+ * Base error class. Details is an object of additional fields specific to the error, e.g.
+ * property, keyframe (index) or member (of declared class).
+ */
+function AnimatorError(message, code, details)
+{
+    var error = new Error(message);
+
+    this.message = message;
+    this.code = code || 'ANIMATOR_ERROR';
+    this.details = details || {};
+
+    if (Error.captureStackTrace)
+    {
+        Error.captureStackTrace(this, this.constructor);
+    }
+    else
+    {
+        this.stack = error.stack;
+    }
+}
+
+/**
+ * Internal use only. Makes Class inherit from Parent
+ */
+AnimatorError.inherit = function (Class, Parent, name) {
+    var Prototype = function () {};
+
+    Prototype.prototype = Parent.prototype;
+
+    Class.prototype = new Prototype();
+    Class.prototype.constructor = Class;
+    Class.prototype.name = name;
+};
+
+AnimatorError.inherit(AnimatorError, Error, 'AnimatorError');
+
+/**
+ * Invalid option, value or definition
+ */
+function ConfigurationError(message, code, details)
+{
+    AnimatorError.call(this, message, code || 'INVALID_CONFIGURATION', details);
+}
+
+AnimatorError.inherit(ConfigurationError, AnimatorError, 'ConfigurationError');
+
+/**
+ * Property, its unit or form of its value could not be animated
+ */
+function UnsupportedPropertyError(message, code, details)
+{
+    AnimatorError.call(this, message, code || 'UNSUPPORTED_PROPERTY', details);
+}
+
+AnimatorError.inherit(UnsupportedPropertyError, AnimatorError, 'UnsupportedPropertyError');
+
+/**
+ * Invalid class definition given to core.declare()
+ */
+function DeclareTypeError(message, code, details)
+{
+    AnimatorError.call(this, message, code || 'INVALID_DECLARATION', details);
+}
+
+AnimatorError.inherit(DeclareTypeError, AnimatorError, 'DeclareTypeError');
@@ -0,0 +1,934 @@
+/*
+ # Copyright (c) 2012 Borys Forytarz <borys.forytarz@gmail.com>
+ #
+ # Permission is hereby granted, free of charge, to any person
+ # obtaining a copy of this software and associated documentation files
+ # (the "Software"), to deal in the Software without restriction,
+ # including without limitation the rights to use, copy, modify,
+ # merge, publish, distribute, sublicense, and/or sell copies of the
+ # Software, and to permit persons to whom the Software is furnished
+ # to do so, subject to the following conditions:
+ #
+ # The above copyright notice and this permission notice shall be
+ # included in all copies or substantial portions of the Software.
+ #
+ # THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ # EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ # MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ # NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS
+ # BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN
+ # ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ # CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ # SOFTWARE.
+ */
+
+/**
+ * Base class of everything that can be played over time - single animations and timelines. Keeps
+ * the playback state and the frame loop, subclasses define the duration and what is rendered at
+ * given time by getTotalDuration() and moveTo().
+ */
+
+var Playback = core.declare({
+    /**
+     * Definition of policies for dropped frames, see dropPolicy
+     */
+    DROP_POLICIES: {'catch-up': true, skip: true},
+
+    /**
+     * Definition of policies for hidden page, see hiddenPolicy
+     */
+    HIDDEN_POLICIES: {'continue': true, pause: true, finish: true},
+
+    /**
+     * Configuration option - the playback rate. 1 is normal speed, 2 is twice as fast,
+     * negative values play backwards
+     */
+    playbackRate: 1,
+
+    /**
+     * Current state of the playback: 'idle', 'running', 'paused' or 'finished'
+     */
+    playState: 'idle',
+
+    /**
+     * Current position of the playback in ms, counted from the beginning of the first loop
+     */
+    currentTime: 0,
+
+    /**
+     * Promise (or thenable where Promise is not available) of the current playback. It is resolved
+     * with {animation, cancelled} - cancelled is false when the playback has finished and true when
+     * it has been stopped or started again before finishing. It is never rejected.
+     */
+    finished: null,
+
+    /**
+     * Configuration option - the source of time, any object with now() method returning time
+     * in ms. Playback.clock is used when not given.
+     */
+    clock: null,
+
+    /**
+     * Configuration option - the frame scheduler, any object with request(callback) method
+     * returning request id and cancel(id) method. Callback is called with the time of the frame
+     * when it is known. Playback.scheduler is used when not given.
+     */
+    scheduler: null,
+
+    /**
+     * Configuration option - what happens when frames are dropped (e.g. the page is busy): 'catch-up'
+     * keeps the playback in time, so it jumps over the missed frames, 'skip' counts the time between
+     * frames as maxFrameTime at most, so the playback is delayed instead
+     */
+    dropPolicy: 'catch-up',
+
+    /**
+     * Configuration option - the longest time in ms between two frames, counted by 'skip' drop policy
+     */
+    maxFrameTime: 50,
+
+    /**
+     * Configuration option - what happens to running playback when the page is hidden: 'continue'
+     * (browsers do not run frames of hidden pages, so it is continued once the page is visible),
+     * 'pause' - it is paused until the page is visible again, 'finish' - it jumps to its end at once,
+     * so end events are fired and finished promise is resolved also in background tabs
+     */
+    hiddenPolicy: 'continue',
+
+    /**
+     * Constructor. Constructs object and configures properties
+     */
+    construct: function (options) {
+        this.configure(options);
+    },
+
+    /**
+     * Starts the playback from its beginning (or from its end when playback rate is negative).
+     * Returns the finished promise.
+     */
+    play: function () {
+        this.prepare();
+
+        var time = this.playbackRate < 0 ? this.getTotalDuration() : 0;
+
+        if (time == Infinity) throw new AnimatorError('Infinite playback could not be played backwards from its end', 'INFINITE_PLAYBACK');
+
+        this.playState = 'running';
+        this.onAnimationBegin();
+        this.moveTo(time, false);
+        this.lastTickTime = this.getClock().now();
+        this.scheduleFrame();
+        this.watchVisibility();
+
+        return this.finished;
+    },
+
+    /**
+     * Pauses running animation. It can be continued by resume()
+     */
+    pause: function () {
+        if (this.playState != 'running') return;
+
+        this.cancelFrame();
+        this.playState = 'paused';
+    },
+
+    /**
+     * Resumes paused animation. Finished animation is played again - from where it
+     * ended if that is possible in the current direction (e.g. after reverse()),
+     * otherwise from the beginning. Returns the finished promise.
+     */
+    resume: function () {
+        if (this.playState == 'paused')
+        {
+            this.playState = 'running';
+            this.lastTickTime = this.getClock().now();
+            this.scheduleFrame();
+            this.watchVisibility();
+        }
+        else if (this.playState == 'finished')
+        {
+            var total = this.getTotalDuration();
+            var time = this.currentTime;
+
+            if (this.playbackRate < 0 && time <= 0)
+            {
+                if (total == Infinity) throw new AnimatorError('Infinite playback could not be played backwards from its end', 'INFINITE_PLAYBACK');
+
+                time = total;
+            }
+            else if (this.playbackRate >= 0 && time >= total)
+            {
+                time = 0;
+            }
+
+            this.createFinished();
+            this.playState = 'running';
+            this.onAnimationBegin();
+            this.moveTo(time, false);
+            this.lastTickTime = this.getClock().now();
+            this.scheduleFrame();
+            this.watchVisibility();
+        }
+
+        return this.finished;
+    },
+
+    /**
+     * Stops animation. Element is left as it is unless options.jumpToEnd is set,
+     * in which case the final state (in the current direction) is rendered and
+     * the end events are fired - the finished promise is then resolved as not cancelled.
+     * Infinite playback has no end, so it is only finished where it is.
+     */
+    stop: function (options) {
+        if (this.playState == 'idle') return;
+
+        this.cancelFrame();
+
+        if (options && options.jumpToEnd && this.playState != 'finished')
+        {
+            var time = this.playbackRate < 0 ? 0 : this.getTotalDuration();
+
+            if (time != Infinity) this.moveTo(time, false);
+
+            this.finish();
+        }
+
+        this.playState = 'idle';
+        this.unwatchVisibility();
+        this.settleFinished(true);
+    },
+
+    /**
+     * Moves the playback to given position. Position is either time in ms counted
+     * from the beginning of the first loop, or an object {progress: 0..1} relative
+     * to the whole animation including all loops (infinite playback can be sought
+     * by time only). Running animation continues from the new position, otherwise
+     * animation is left paused.
+     */
+    seek: function (position) {
+        var total = this.getTotalDuration();
+        var time = position;
+
+        if (typeof position === 'object' && position !== null)
+        {
+            if (total == Infinity) throw new AnimatorError('Infinite playback could not be sought by progress', 'INFINITE_PLAYBACK', {position: position});
+
+            time = position.progress * total;
+        }
+
+        time = parseFloat(time);
+        if (isNaN(time)) throw new ConfigurationError('Invalid seek position', 'INVALID_POSITION', {position: position});
+
+        this.drive(Math.max(0, Math.min(total, time)), false);
+    },
+
+    /**
+     * Internal use only. Moves the playback to given time, used by seek() and by timelines
+     * which drive their children. Animation which is not running is left paused.
+     */
+    drive: function (time, crossed) {
+        if (this.playState == 'idle')
+        {
+            this.prepare();
+            this.playState = 'paused';
+        }
+        else if (this.playState == 'finished')
+        {
+            this.playState = 'paused';
+        }
+
+        this.moveTo(time, crossed);
+    },
+
+    /**
+     * Reverses the direction of the playback. Finished or not yet started
+     * animation is played from its current end.
+     */
+    reverse: function () {
+        this.playbackRate = -this.playbackRate;
+
+        if (this.playState == 'idle')
+        {
+            this.play();
+        }
+        else if (this.playState == 'finished')
+        {
+            this.resume();
+        }
+    },
+
+    /**
+     * Internal use only. Resets internal playback state before the playback starts
+     */
+    prepare: function () {
+        if (!this.DROP_POLICIES.hasOwnProperty(this.dropPolicy)) throw new ConfigurationError('Invalid drop policy ' + this.dropPolicy, 'INVALID_POLICY', {option: 'dropPolicy', value: this.dropPolicy});
+        if (!this.HIDDEN_POLICIES.hasOwnProperty(this.hiddenPolicy)) throw new ConfigurationError('Invalid hidden policy ' + this.hiddenPolicy, 'INVALID_POLICY', {option: 'hiddenPolicy', value: this.hiddenPolicy});
+        if (!(this.maxFrameTime > 0)) throw new ConfigurationError('Max frame time has to be positive number', 'INVALID_TIMING', {option: 'maxFrameTime', value: this.maxFrameTime});
+
+        this.cancelFrame();
+        this.currentTime = 0;
+        this.createFinished();
+    },
+
+    /**
+     * Internal use only. Creates new finished promise. The previous one is resolved as cancelled,
+     * if it has not been resolved yet.
+     */
+    createFinished: function () {
+        var self = this;
+
+        this.settleFinished(true);
+
+        this.finished = new (window.Promise || Playback.Thenable)(function (resolve) {
+            self.resolveFinished = resolve;
+        });
+    },
+
+    /**
+     * Internal use only. Resolves the finished promise, if it has not been resolved yet
+     */
+    settleFinished: function (cancelled) {
+        var resolve = this.resolveFinished;
+
+        if (!resolve) return;
+
+        this.resolveFinished = null;
+        resolve({animation: this, cancelled: cancelled});
+    },
+
+    /**
+     * Internal use only. Returns the clock of this playback
+     */
+    getClock: function () {
+        return this.clock || Playback.clock;
+    },
+
+    /**
+     * Internal use only. Returns the frame scheduler of this playback. Clock which is able
+     * to schedule frames (e.g. Playback.ManualClock) is used as scheduler when none is given.
+     */
+    getScheduler: function () {
+        if (this.scheduler) return this.scheduler;
+
+        return this.clock && this.clock.request instanceof Function ? this.clock : Playback.scheduler;
+    },
+
+    /**
+     * Internal use only. Returns the ticker which runs frames of this playback, the one shared
+     * by all playbacks with the same scheduler (see Playback.Ticker)
+     */
+    getTicker: function () {
+        return Playback.getTicker(this.getScheduler());
+    },
+
+    /**
+     * Internal use only. Schedules next playback tick
+     */
+    scheduleFrame: function () {
+        var self = this;
+
+        this.cancelFrame();
+
+        this.frameRequest = this.getTicker().request(function (time) {
+            self.frameRequest = null;
+
+            try
+            {
+                self.tick(self.getFrameTime(time));
+            }
+            catch (e)
+            {
+                self.fail(e);
+            }
+        });
+    },
+
+    /**
+     * Internal use only. Cancels scheduled playback tick
+     */
+    cancelFrame: function () {
+        if (this.frameRequest != null)
+        {
+            this.getTicker().cancel(this.frameRequest);
+            this.frameRequest = null;
+        }
+    },
+
+    /**
+     * Internal use only. Returns the time of frame by the clock of this playback. Time given by
+     * the scheduler is used when it is the time of the same clock - the clock is the scheduler
+     * itself, or both are the default ones (animation frames are timed by performance.now()).
+     */
+    getFrameTime: function (time) {
+        var clock = this.getClock();
+        var scheduler = this.getScheduler();
+        var now = clock.now();
+
+        if (typeof time !== 'number' || (clock !== scheduler && (clock !== Playback.clock || scheduler !== Playback.scheduler))) return now;
+
+        //old browsers time animation frames by Date
+        return Math.abs(now - time) < 1000 ? time : now;
+    },
+
+    /**
+     * Internal use only. Advances the playback by the time elapsed since the last tick (see dropPolicy)
+     */
+    tick: function (now) {
+        if (this.playState != 'running') return;
+
+        //frame may be timed before the playback started
+        var elapsed = Math.max(0, now - this.lastTickTime);
+
+        if (this.dropPolicy == 'skip') elapsed = Math.min(elapsed, this.maxFrameTime);
+
+        var total = this.getTotalDuration();
+        var time = this.currentTime + elapsed * this.playbackRate;
+        var finished = (this.playbackRate >= 0 && time >= total) || (this.playbackRate < 0 && time <= 0);
+
+        this.lastTickTime = now;
+
+        this.moveTo(Math.max(0, Math.min(total, time)), true);
+
+        if (finished)
+        {
+            this.finish();
+        }
+        else
+        {
+            this.scheduleFrame();
+        }
+    },
+
+    /**
+     * Internal use only. Ends the playback and fires end event
+     */
+    finish: function () {
+        this.playState = 'finished';
+        this.unwatchVisibility();
+        this.onAnimationEnd();
+        this.settleFinished(false);
+    },
+
+    /**
+     * Internal use only. Starts watching visibility of the page, if hidden policy requires it.
+     * Hidden page is handled at once.
+     */
+    watchVisibility: function () {
+        if (this.hiddenPolicy == 'continue' || !window.document || !document.addEventListener) return;
+
+        if (!Playback.visibilityListener)
+        {
+            Playback.visibilityListener = function () {
+                var watched = Playback.watched.slice(0);
+
+                for (var i = 0; i < watched.length; i++)
+                {
+                    watched[i].handleVisibility();
+                }
+            };
+
+            document.addEventListener('visibilitychange', Playback.visibilityListener, false);
+        }
+
+        if (Playback.watched.indexOf(this) == -1) Playback.watched.push(this);
+
+        if (this.isPageHidden()) this.handleVisibility();
+    },
+
+    /**
+     * Internal use only. Stops watching visibility of the page
+     */
+    unwatchVisibility: function () {
+        var index = Playback.watched.indexOf(this);
+
+        if (index >= 0) Playback.watched.splice(index, 1);
+
+        this.pausedWhenHidden = false;
+    },
+
+    /**
+     * Internal use only. Applies hidden policy when visibility of the page changes. Playback paused
+     * when the page was hidden is resumed when it is visible again.
+     */
+    handleVisibility: function () {
+        if (this.isPageHidden())
+        {
+            if (this.playState != 'running') return;
+
+            if (this.hiddenPolicy == 'pause')
+            {
+                this.pause();
+                this.pausedWhenHidden = true;
+            }
+            else if (this.hiddenPolicy == 'finish')
+            {
+                this.stop({jumpToEnd: true});
+            }
+        }
+        else if (this.pausedWhenHidden)
+        {
+            this.pausedWhenHidden = false;
+
+            if (this.playState == 'paused') this.resume();
+        }
+    },
+
+    /**
+     * Internal use only. Returns true if the page is hidden (e.g. in background tab)
+     */
+    isPageHidden: function () {
+        return !!window.document && (document.hidden === true || document.visibilityState == 'hidden');
+    },
+
+    /**
+     * Internal use only. Stops the playback after error raised within animation frame and fires
+     * error event. The error is thrown again when nothing listens to the event, so it is not lost.
+     */
+    fail: function (error) {
+        var handled = this.hasListeners('onError');
+
+        this.cancelFrame();
+        this.playState = 'idle';
+        this.unwatchVisibility();
+        this.settleFinished(true);
+        this.onError(error);
+
+        if (!handled) throw error;
+    },
+
+    /**
+     * Returns the duration of the whole playback in ms
+     */
+    getTotalDuration: function () {
+        return 0;
+    },
+
+    /**
+     * Internal use only. Moves the playback to given time (in ms) and renders it. If crossed
+     * is true, the time was reached by playing, otherwise by seeking.
+     */
+    moveTo: function (time, crossed) {
+        this.currentTime = time;
+    },
+
+    /**
+     * Event is fired when playback begins
+     */
+    onAnimationBegin: function () {},
+
+    /**
+     * Event is fired when playback ends
+     */
+    onAnimationEnd: function () {},
+
+    /**
+     * Event is fired when error is raised while playing (within animation frame), the playback
+     * is stopped then. Error is usually AnimatorError. Errors of event listeners do not stop the
+     * playback, they are thrown asynchronously.
+     */
+    onError: function (error) {}
+});
+
+/**
+ * Default clock of all playbacks which have no clock of their own. It can be replaced globally,
+ * e.g. by Playback.ManualClock in tests.
+ */
+Playback.clock = {
+    now: function () {
+        return window.performance && window.performance.now instanceof Function ? window.performance.now() : (new Date()).getTime();
+    }
+};
+
+/**
+ * Playbacks watching visibility of the page, see hiddenPolicy
+ */
+Playback.watched = [];
+
+/**
+ * Default frame scheduler of all playbacks which have no scheduler of their own. Requests browser
+ * for animation frame and calls callback within that frame. Browsers that does not support animation
+ * frame will use 60 fps by default.
+ */
+Playback.scheduler = {
+    request: function (callback, element) {
+        return (
+            window.requestAnimationFrame       ||
+            window.webkitRequestAnimationFrame ||
+            window.mozRequestAnimationFrame    ||
+            window.oRequestAnimationFrame      ||
+            window.msRequestAnimationFrame     ||
+            function (callback, element) {
+                return window.setTimeout(callback, 1000 / 60);
+            }
+        )(callback, element);
+    },
+
+    cancel: function (id) {
+        return (
+            window.cancelAnimationFrame       ||
+            window.webkitCancelAnimationFrame ||
+            window.mozCancelAnimationFrame    ||
+            window.oCancelAnimationFrame      ||
+            window.msCancelAnimationFrame     ||
+            function (id) {
+                window.clearTimeout(id);
+            }
+        )(id);
+    }
+};
+
+/**
+ * Clock and frame scheduler in one, where time passes only when told to. It allows to drive
+ * animations deterministically, frame by frame, e.g. in tests:
+ *
+ * var clock = new Playback.ManualClock();
+ * var animator = new Animator({clock: clock, element: element, keyframes: [{left: 100}]});
+ *
+ * animator.animate();
+ * clock.tick(250); //element is in the middle of default 500ms keyframe
+ */
+Playback.ManualClock = core.declare({
+    /**
+     * Configuration option - current time in ms
+     */
+    time: 0,
+
+    /**
+     * Constructor. Constructs object and configures properties
+     */
+    construct: function (options) {
+        this.requests = [];
+        this.lastRequestId = 0;
+        this.configure(options);
+    },
+
+    /**
+     * Returns current time
+     */
+    now: function () {
+        return this.time;
+    },
+
+    /**
+     * Requests callback to be called in the next frame, i.e. by the next tick()
+     */
+    request: function (callback) {
+        this.requests.push({id: ++this.lastRequestId, callback: callback});
+
+        return this.lastRequestId;
+    },
+
+    /**
+     * Cancels requested callback
+     */
+    cancel: function (id) {
+        for (var i = 0; i < this.requests.length; i++)
+        {
+            if (this.requests[i].id === id)
+            {
+                this.requests.splice(i, 1);
+                break;
+            }
+        }
+    },
+
+    /**
+     * Advances the time by given number of ms and runs one frame - calls all callbacks requested
+     * so far. Callbacks requested within the frame are left for the next one. Returns the number
+     * of called callbacks.
+     */
+    tick: function (ms) {
+        var requests = this.requests;
+
+        this.time += ms || 0;
+        this.requests = [];
+
+        for (var i = 0; i < requests.length; i++)
+        {
+            requests[i].callback(this.time);
+        }
+
+        return requests.length;
+    }
+});
+
+/**
+ * Frame loop shared by all playbacks (and scroll drivers) with the same scheduler, so there is
+ * one animation frame request at most, whatever the number of running animations. Every frame
+ * has two phases:
+ *
+ * - measure - callbacks requested by request() are called, they compute new state and read
+ *   the DOM (e.g. start values of keyframes)
+ * - mutate - callbacks deferred by mutate() within the measure phase are called, they write the DOM
+ *
+ * so styles are not read in between writes of other animations, which would force layout again
+ * and again. Ticker stops requesting frames when there are no callbacks left.
+ */
+Playback.Ticker = core.declare({
+    /**
+     * Configuration option - the frame scheduler, see Playback.scheduler
+     */
+    scheduler: null,
+
+    /**
+     * Constructor. Constructs object and configures properties
+     */
+    construct: function (options) {
+        this.requests = [];
+        this.writes = [];
+        this.lastRequestId = 0;
+        this.frameRequest = null;
+        this.measuring = false;
+        this.configure(options);
+    },
+
+    /**
+     * Requests callback to be called in the measure phase of the next frame. Returns request id.
+     */
+    request: function (callback) {
+        var self = this;
+
+        this.requests.push({id: ++this.lastRequestId, callback: callback});
+
+        if (this.frameRequest == null)
+        {
+            this.frameRequest = this.scheduler.request(function (time) {
+                self.frameRequest = null;
+                self.frame(time);
+            });
+        }
+
+        return this.lastRequestId;
+    },
+
+    /**
+     * Cancels requested callback. Frame is not requested anymore when there is nothing to call.
+     */
+    cancel: function (id) {
+        for (var i = 0; i < this.requests.length; i++)
+        {
+            if (this.requests[i].id === id)
+            {
+                this.requests.splice(i, 1);
+                break;
+            }
+        }
+
+        if (!this.requests.length && this.frameRequest != null)
+        {
+            this.scheduler.cancel(this.frameRequest);
+            this.frameRequest = null;
+        }
+    },
+
+    /**
+     * Defers callback writing the DOM to the mutate phase of the current frame. Out of the measure
+     * phase (e.g. when animation is sought) the callback is called immediately.
+     */
+    mutate: function (callback) {
+        if (this.measuring)
+        {
+            this.writes.push(callback);
+        }
+        else
+        {
+            callback();
+        }
+    },
+
+    /**
+     * Internal use only. Runs both phases of the frame, request callbacks get the time of the frame
+     * given by the scheduler. Callbacks requested within the frame are left for the next one. Error
+     * of any callback does not stop the others, the first one is thrown at the end of the frame.
+     */
+    frame: function (time) {
+        var requests = this.requests;
+        var error = null;
+        var i;
+
+        this.requests = [];
+        this.measuring = true;
+
+        for (i = 0; i < requests.length; i++)
+        {
+            try
+            {
+                requests[i].callback(time);
+            }
+            catch (e)
+            {
+                if (!error) error = e;
+            }
+        }
+
+        this.measuring = false;
+
+        for (i = 0; i < this.writes.length; i++)
+        {
+            try
+            {
+                this.writes[i]();
+            }
+            catch (e)
+            {
+                if (!error) error = e;
+            }
+        }
+
+        this.writes = [];
+
+        if (error) throw error;
+    }
+});
+
+/**
+ * Tickers of schedulers in use, see Playback.getTicker
+ */
+Playback.tickers = [];
+
+/**
+ * Returns the ticker of given scheduler, it is created when the scheduler is used for the first time
+ */
+Playback.getTicker = function (scheduler) {
+    for (var i = 0; i < Playback.tickers.length; i++)
+    {
+        if (Playback.tickers[i].scheduler === scheduler) return Playback.tickers[i];
+    }
+
+    var ticker = new Playback.Ticker({scheduler: scheduler});
+
+    Playback.tickers.push(ticker);
+
+    return ticker;
+};
+
+/**
+ * Defers callback writing the DOM to the mutate phase of the frame being run by any ticker (see
+ * Playback.Ticker), so also animations driven by other playbacks write together with the others.
+ * Out of the frame the callback is called immediately.
+ */
+Playback.mutate = function (callback) {
+    for (var i = 0; i < Playback.tickers.length; i++)
+    {
+        if (Playback.tickers[i].measuring) return Playback.tickers[i].mutate(callback);
+    }
+
+    callback();
+};
+
+/**
+ * Minimal promise implementation used where native Promise is not available. Supports
+ * resolving (also with other thenables), rejecting and chaining by then() and catch().
+ */
+Playback.Thenable = function (executor) {
+    var self = this;
+    var locked = false;
+
+    this.state = 'pending';
+    this.handlers = [];
+
+    function settle (state, value)
+    {
+        if (self.state != 'pending') return;
+
+        self.state = state;
+        self.value = value;
+
+        for (var i = 0; i < self.handlers.length; i++)
+        {
+            self.handle(self.handlers[i]);
+        }
+
+        self.handlers = [];
+    }
+
+    function resolve (value)
+    {
+        if (locked) return;
+        locked = true;
+
+        if (value && value.then instanceof Function)
+        {
+            try
+            {
+                value.then(function (value) {
+                    settle('fulfilled', value);
+                }, function (reason) {
+                    settle('rejected', reason);
+                });
+            }
+            catch (e)
+            {
+                settle('rejected', e);
+            }
+        }
+        else
+        {
+            settle('fulfilled', value);
+        }
+    }
+
+    function reject (reason)
+    {
+        if (locked) return;
+        locked = true;
+
+        settle('rejected', reason);
+    }
+
+    try
+    {
+        executor(resolve, reject);
+    }
+    catch (e)
+    {
+        reject(e);
+    }
+};
+
+/**
+ * Internal use only. Calls the handler asynchronously, once the thenable is settled
+ */
+Playback.Thenable.prototype.handle = function (handler) {
+    var self = this;
+
+    if (this.state == 'pending')
+    {
+        this.handlers.push(handler);
+
+        return;
+    }
+
+    window.setTimeout(function () {
+        var callback = self.state == 'fulfilled' ? handler.onFulfilled : handler.onRejected;
+
+        if (!(callback instanceof Function))
+        {
+            (self.state == 'fulfilled' ? handler.resolve : handler.reject)(self.value);
+
+            return;
+        }
+
+        try
+        {
+            handler.resolve(callback(self.value));
+        }
+        catch (e)
+        {
+            handler.reject(e);
+        }
+    }, 0);
+};
+
+Playback.Thenable.prototype.then = function (onFulfilled, onRejected) {
+    var self = this;
+
+    return new Playback.Thenable(function (resolve, reject) {
+        self.handle({onFulfilled: onFulfilled, onRejected: onRejected, resolve: resolve, reject: reject});
+    });
+};
+
+Playback.Thenable.prototype['catch'] = function (onRejected) {
+    return this.then(null, onRejected);
+};
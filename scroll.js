@@ -0,0 +1,317 @@
+/*
+ # Copyright (c) 2012 Borys Forytarz <borys.forytarz@gmail.com>
+ #
+ # Permission is hereby granted, free of charge, to any person
+ # obtaining a copy of this software and associated documentation files
+ # (the "Software"), to deal in the Software without restriction,
+ # including without limitation the rights to use, copy, modify,
+ # merge, publish, distribute, sublicense, and/or sell copies of the
+ # Software, and to permit persons to whom the Software is furnished
+ # to do so, subject to the following conditions:
+ #
+ # The above copyright notice and this permission notice shall be
+ # included in all copies or substantial portions of the Software.
+ #
+ # THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ # EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ # MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ # NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS
+ # BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN
+ # ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ # CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ # SOFTWARE.
+ */
+
+
+/**
+ * Class that drives animation (or timeline) by scroll position instead of time. Progress of the
+ * animation follows the scroll position of a container (or the window), or the passage of target
+ * element through the viewport, so scrolling back plays the animation backwards. In trigger mode
+ * the animation is started once the target enters the viewport. Usage:
+ *
+ * new ScrollDriver({animation: parallax, target: '#hero', smoothing: 100}).attach();
+ * new ScrollDriver({animation: reveal, target: '#teaser', trigger: true}).attach();
+ */
+
+var ScrollDriver = core.declare({
+    /**
+     * Configuration option - the animation or timeline to be driven
+     */
+    animation: null,
+
+    /**
+     * Configuration option - the scrolling element (or css selector), the window when not given
+     */
+    container: null,
+
+    /**
+     * Configuration option - the element (or css selector) whose passage through the viewport drives
+     * the animation. When not given, the animation follows the scroll position of the container.
+     */
+    target: null,
+
+    /**
+     * Configuration option - the scroll axis, 'y' or 'x'
+     */
+    axis: 'y',
+
+    /**
+     * Configuration option - the position where the animation starts. Without target it is the scroll
+     * position, with target it is the distance the target has entered the viewport by (0 - its edge
+     * touches the viewport, 100% - it has just left it on the other side). Given in px or as percentage
+     * of the whole range, e.g. '25%'.
+     */
+    start: 0,
+
+    /**
+     * Configuration option - the position where the animation ends, see start
+     */
+    end: '100%',
+
+    /**
+     * Configuration option - the time constant in ms by which the animation follows the scroll
+     * position, 0 follows it immediately
+     */
+    smoothing: 0,
+
+    /**
+     * Configuration option - when true, the animation is started (by animate() or play()) once
+     * the target enters the viewport (passes start) instead of being driven by the scroll position
+     */
+    trigger: false,
+
+    /**
+     * Current progress of the driven animation (0..1)
+     */
+    progress: null,
+
+    /**
+     * Constructor. Constructs object and configures properties
+     */
+    construct: function (options) {
+        this.configure(options);
+    },
+
+    /**
+     * Starts listening to scrolling and renders the animation at the current scroll position.
+     * Returns the driver.
+     */
+    attach: function () {
+        if (!this.animation) throw new ConfigurationError('No animation specified', 'NO_ANIMATION');
+        if (this.listener) return this;
+
+        var self = this;
+
+        this.listener = function () {
+            self.scheduleUpdate();
+        };
+
+        this.getScrollSource().addEventListener('scroll', this.listener, false);
+        window.addEventListener('resize', this.listener, false);
+
+        this.progress = null;
+        this.settled = true;
+        this.update();
+
+        return this;
+    },
+
+    /**
+     * Stops listening to scrolling. The animation is left where it is.
+     */
+    detach: function () {
+        if (!this.listener) return;
+
+        this.getScrollSource().removeEventListener('scroll', this.listener, false);
+        window.removeEventListener('resize', this.listener, false);
+
+        this.listener = null;
+        this.cancelFrame();
+    },
+
+    /**
+     * Internal use only. Schedules update to the next frame, so layout is read once per frame
+     */
+    scheduleUpdate: function () {
+        var self = this;
+
+        if (this.frameRequest != null) return;
+
+        this.frameRequest = this.animation.getTicker().request(function () {
+            self.frameRequest = null;
+
+            try
+            {
+                self.update();
+            }
+            catch (e)
+            {
+                self.animation.fail(e);
+            }
+        });
+    },
+
+    /**
+     * Internal use only. Cancels scheduled update
+     */
+    cancelFrame: function () {
+        if (this.frameRequest != null)
+        {
+            this.animation.getTicker().cancel(this.frameRequest);
+            this.frameRequest = null;
+        }
+    },
+
+    /**
+     * Internal use only. Reads the scroll position and moves the animation towards it
+     */
+    update: function () {
+        if (!this.listener) return;
+
+        var progress = this.getProgress();
+
+        if (this.trigger)
+        {
+            if (progress > 0)
+            {
+                this.detach();
+
+                if (this.animation.animate instanceof Function)
+                {
+                    this.animation.animate();
+                }
+                else
+                {
+                    this.animation.play();
+                }
+            }
+
+            return;
+        }
+
+        var now = this.animation.getClock().now();
+        var target = progress;
+
+        if (this.smoothing > 0 && this.progress !== null)
+        {
+            //exponential approach, independent of frame rate; time is counted from the first frame after rest
+            var elapsed = this.settled ? 0 : now - this.lastUpdateTime;
+
+            progress = this.progress + (target - this.progress) * (1 - Math.exp(-elapsed / this.smoothing));
+            this.settled = Math.abs(target - progress) <= 0.0001;
+
+            if (this.settled)
+            {
+                progress = target;
+            }
+            else
+            {
+                this.scheduleUpdate();
+            }
+        }
+
+        this.lastUpdateTime = now;
+
+        if (progress === this.progress) return;
+
+        this.progress = progress;
+        this.animation.seek({progress: progress});
+        this.onProgress(progress);
+    },
+
+    /**
+     * Returns the progress (0..1) given by the current scroll position
+     */
+    getProgress: function () {
+        var range = this.getRange();
+        var start = this.getOffset(this.start, range.length);
+        var end = this.getOffset(this.end, range.length);
+
+        if (end == start) return range.position >= end ? 1 : 0;
+
+        return Math.max(0, Math.min(1, (range.position - start) / (end - start)));
+    },
+
+    /**
+     * Internal use only. Translates start or end option into px
+     */
+    getOffset: function (offset, length) {
+        var m = String(offset).match(/^\s*([-+]?[0-9.]+)\s*(%?)\s*$/);
+
+        if (!m) throw new ConfigurationError('Invalid scroll offset ' + offset, 'INVALID_OFFSET', {offset: offset});
+
+        return m[2] ? parseFloat(m[1]) * length / 100 : parseFloat(m[1]);
+    },
+
+    /**
+     * Internal use only. Returns the current position within the scroll range and the length
+     * of the range: {position, length}
+     */
+    getRange: function () {
+        var container = this.getElement(this.container);
+        var target = this.getElement(this.target);
+        var horizontal = this.axis == 'x';
+        var root = document.documentElement;
+        var viewportStart = 0, viewportSize, position, length;
+
+        if (container)
+        {
+            viewportSize = horizontal ? container.clientWidth : container.clientHeight;
+            position = horizontal ? container.scrollLeft : container.scrollTop;
+            length = (horizontal ? container.scrollWidth : container.scrollHeight) - viewportSize;
+
+            if (target)
+            {
+                var rect = container.getBoundingClientRect();
+
+                viewportStart = (horizontal ? rect.left + container.clientLeft : rect.top + container.clientTop);
+            }
+        }
+        else
+        {
+            viewportSize = horizontal ? window.innerWidth : window.innerHeight;
+            position = horizontal ? window.pageXOffset : window.pageYOffset;
+
+            if (typeof position !== 'number') position = horizontal ? root.scrollLeft : root.scrollTop;
+
+            length = (horizontal ? root.scrollWidth : root.scrollHeight) - viewportSize;
+        }
+
+        if (!target) return {position: position, length: Math.max(0, length)};
+
+        var bounds = target.getBoundingClientRect();
+        var targetStart = horizontal ? bounds.left : bounds.top;
+        var targetSize = horizontal ? bounds.width : bounds.height;
+
+        //the distance the target has entered the viewport by
+        return {
+            position: viewportStart + viewportSize - targetStart,
+            length: viewportSize + targetSize
+        };
+    },
+
+    /**
+     * Internal use only. Returns the element given by option (element or css selector)
+     */
+    getElement: function (element) {
+        if (typeof element !== 'string') return element;
+
+        var ret = document.querySelector(element);
+
+        if (!ret) throw new ConfigurationError('Element ' + element + ' not found', 'ELEMENT_NOT_FOUND', {element: element});
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Returns the object which fires scroll events
+     */
+    getScrollSource: function () {
+        return this.getElement(this.container) || window;
+    },
+
+    /**
+     * Event is fired when the scroll position has moved the animation to given progress
+     */
+    onProgress: function (progress) {}
+});
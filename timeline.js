@@ -0,0 +1,239 @@
+/*
+ # Copyright (c) 2012 Borys Forytarz <borys.forytarz@gmail.com>
+ #
+ # Permission is hereby granted, free of charge, to any person
+ # obtaining a copy of this software and associated documentation files
+ # (the "Software"), to deal in the Software without restriction,
+ # including without limitation the rights to use, copy, modify,
+ # merge, publish, distribute, sublicense, and/or sell copies of the
+ # Software, and to permit persons to whom the Software is furnished
+ # to do so, subject to the following conditions:
+ #
+ # The above copyright notice and this permission notice shall be
+ # included in all copies or substantial portions of the Software.
+ #
+ # THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND,
+ # EXPRESS OR IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF
+ # MERCHANTABILITY, FITNESS FOR A PARTICULAR PURPOSE AND
+ # NONINFRINGEMENT. IN NO EVENT SHALL THE AUTHORS OR COPYRIGHT HOLDERS
+ # BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER LIABILITY, WHETHER IN AN
+ # ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM, OUT OF OR IN
+ # CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ # SOFTWARE.
+ */
+
+/**
+ * Timeline class that allows coordinating multiple animations (and other timelines) in time.
+ * Children are placed at offsets and the timeline drives them, so they must not be played
+ * separately. Usage:
+ *
+ * var timeline = new Timeline();
+ *
+ * timeline.add(animatorA)           //at the end of timeline, i.e. 0
+ *         .add(animatorB, '+=200')  //200ms after the end of timeline
+ *         .add(animatorC, '<')      //together with previously added child
+ *         .add(otherTimeline, 1500) //at absolute position
+ *         .play();
+ */
+
+var Timeline = core.declare(Playback, {
+    /**
+     * Configuration option - array of children to be added at construction. Each item is either
+     * a child or {child: child, position: position}, see add() for positions.
+     */
+    children: [],
+
+    /**
+     * Timeline constructor. Constructs object and configures properties
+     */
+    construct: function (options) {
+        this.entries = [];
+        this.configure(options);
+    },
+
+    /**
+     * Sets children of the timeline, replacing the existing ones
+     */
+    setChildren: function (children) {
+        this.entries = [];
+        this.children = children || [];
+
+        for (var i = 0; i < this.children.length; i++)
+        {
+            var item = this.children[i];
+
+            if (item instanceof Playback)
+            {
+                this.add(item);
+            }
+            else
+            {
+                this.add(item.child, item.position);
+            }
+        }
+    },
+
+    /**
+     * Adds animation or timeline at given position and returns the timeline. Position is
+     * one of the following:
+     *
+     * - number - absolute offset in ms
+     * - undefined - at the end of timeline
+     * - '+=200', '-=200' - relative to the end of timeline
+     * - '<' - at the start of previously added child, '<+=200', '<-=200' relative to it
+     * - '>' - at the end of previously added child, '>+=200', '>-=200' relative to it
+     */
+    add: function (child, position) {
+        if (!(child instanceof Playback)) throw new ConfigurationError('Only animations and timelines can be added to timeline', 'INVALID_CHILD', {child: child});
+        if (child === this) throw new ConfigurationError('Timeline could not be added to itself', 'INVALID_CHILD', {child: child});
+
+        this.entries.push({
+            child: child,
+            offset: Math.max(0, this.getOffset(position)),
+            state: null
+        });
+
+        return this;
+    },
+
+    /**
+     * Removes animation or timeline from the timeline and returns the timeline
+     */
+    remove: function (child) {
+        for (var i = 0; i < this.entries.length; i++)
+        {
+            if (this.entries[i].child === child)
+            {
+                this.entries.splice(i, 1);
+                break;
+            }
+        }
+
+        return this;
+    },
+
+    /**
+     * Internal use only. Translates position given to add() into offset in ms
+     */
+    getOffset: function (position) {
+        if (typeof position === 'undefined' || position === null) return this.getTotalDuration();
+        if (typeof position === 'number') return position;
+
+        var m = String(position).match(/^\s*([<>]?)\s*(?:([-+])=\s*([0-9.]+))?\s*$/);
+        if (!m || (!m[1] && !m[2])) throw new ConfigurationError('Invalid timeline position ' + position, 'INVALID_POSITION', {position: position});
+
+        var base = this.getTotalDuration();
+        var previous = this.entries[this.entries.length - 1];
+
+        if (m[1] == '<')
+        {
+            base = previous ? previous.offset : 0;
+        }
+        else if (m[1] == '>')
+        {
+            base = previous ? previous.offset + previous.child.getTotalDuration() : 0;
+        }
+
+        if (m[2])
+        {
+            base += (m[2] == '-' ? -1 : 1) * parseFloat(m[3]);
+        }
+
+        return base;
+    },
+
+    /**
+     * Returns the duration of the timeline - the end of the child which ends as the last one
+     */
+    getTotalDuration: function () {
+        var total = 0;
+
+        for (var i = 0; i < this.entries.length; i++)
+        {
+            total = Math.max(total, this.entries[i].offset + this.entries[i].child.getTotalDuration());
+        }
+
+        return total;
+    },
+
+    /**
+     * Exports the timeline to the JSON format (see Animator.fromJSON), children are placed
+     * at their absolute offsets. Throws if any child could not be exported.
+     */
+    toJSON: function () {
+        var ret = {version: Animator.JSON_VERSION, type: 'timeline'};
+
+        if (this.playbackRate != 1) ret.playbackRate = this.playbackRate;
+
+        ret.children = [];
+
+        for (var i = 0; i < this.entries.length; i++)
+        {
+            var child = this.entries[i].child.toJSON();
+
+            delete child.version;
+            ret.children.push({child: child, position: this.entries[i].offset});
+        }
+
+        return ret;
+    },
+
+    /**
+     * Internal use only. Validates configuration and resets children
+     */
+    prepare: function () {
+        if (!this.entries.length) throw new ConfigurationError('No children specified', 'NO_CHILDREN');
+
+        this.inherited();
+
+        for (var i = 0; i < this.entries.length; i++)
+        {
+            this.entries[i].child.stop();
+            this.entries[i].state = null;
+        }
+    },
+
+    /**
+     * Internal use only. Moves the timeline to given time and drives children. Children are
+     * processed in order of their offsets, so children animating the same element start
+     * from the values their predecessors have left. Child fires its begin event when the
+     * playback enters it and its end event when the playback leaves it (in either direction).
+     */
+    moveTo: function (time, crossed) {
+        var entries = this.entries.slice(0).sort(function (a, b) {
+            return a.offset - b.offset;
+        });
+
+        this.currentTime = time;
+
+        for (var i = 0; i < entries.length; i++)
+        {
+            var entry = entries[i];
+            var child = entry.child;
+            var duration = child.getTotalDuration();
+            var local = time - entry.offset;
+            var state = local < 0 ? 'before' : (local >= duration ? 'after' : 'active');
+            var previous = entry.state;
+
+            entry.state = state;
+
+            if (state == previous && state != 'active') continue;
+
+            //nothing to render for children which are not reached yet
+            if (!previous && state == 'before') continue;
+
+            //child jumped over at once (e.g. by seek or long frame) begins and ends within the same move
+            if (previous != 'active')
+            {
+                child.onAnimationBegin();
+            }
+
+            child.drive(Math.max(0, Math.min(duration, local)), crossed);
+
+            if (state != 'active')
+            {
+                child.finish();
+            }
+        }
+    }
+});